@@ -0,0 +1,113 @@
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { chromium } from 'playwright';
+import { getPlatform, getPlatformForUrl } from '../src/platforms/index.js';
+import { autoScroll } from '../src/scroll.js';
+import { getRandomUserAgent } from '../src/utils.js';
+
+/**
+ * Saves a live page as an offline test fixture:
+ *
+ *   node scripts/capture-fixture.js <url> <name> [--pincode 411001] [--platform zepto] [--scrolls 10] [--visible 4]
+ *
+ * Sets the delivery location through the platform adapter, scrolls the listing,
+ * drops every script except JSON-LD (and the harness markup of a page
+ * re-captured from a fixture) and writes test/fixtures/<name>.html. Cards
+ * past the first `--visible` are moved into a `<template data-fixture-more>` and
+ * the end-of-results marker is tagged `data-fixture-end`, so the harness scripts
+ * the fixture server injects (test/fixtures/fixture-*.js) replay the infinite
+ * scroll and the address modal offline.
+ */
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'test', 'fixtures');
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        pincode: { type: 'string', default: '411001' },
+        platform: { type: 'string' },
+        scrolls: { type: 'string', default: '10' },
+        visible: { type: 'string', default: '4' },
+    },
+});
+
+const [url, name] = positionals;
+if (!url || !name) {
+    console.error('Usage: node scripts/capture-fixture.js <url> <name> [--pincode 411001] [--platform zepto] [--scrolls 10] [--visible 4]');
+    process.exit(1);
+}
+
+const adapter = values.platform ? getPlatform(values.platform) : getPlatformForUrl(url);
+if (!adapter) {
+    console.error(`❌ No platform serves ${url}, pass --platform`);
+    process.exit(1);
+}
+
+const log = {
+    info: (message) => console.log(message),
+    warning: (message) => console.warn(message),
+    error: (message) => console.error(message),
+    debug: () => {},
+};
+
+const browser = await chromium.launch({ headless: true });
+try {
+    const context = await browser.newContext({ userAgent: getRandomUserAgent(), viewport: { width: 1920, height: 1080 } });
+    const page = await context.newPage();
+
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+
+    const location = await adapter.setLocation(page, log, values.pincode);
+    if (!location.success) {
+        throw new Error(`Could not set location to pincode ${values.pincode}: ${location.reason}`);
+    }
+    await page.reload({ waitUntil: 'domcontentloaded' });
+    await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
+
+    await autoScroll(page, log, adapter.productSelector, Number(values.scrolls), {
+        endOfResultsSelector: adapter.endOfResultsSelector,
+        listingRequestRegex: adapter.apiResponseRegex
+    });
+
+    // Frozen markup only: the site's bundles would re-render or phone home when served offline
+    const html = await page.evaluate(({ productSelector, endOfResultsSelector, visible, source }) => {
+        document.querySelectorAll('script:not([type="application/ld+json"]), template[data-fixture-more]').forEach(node => node.remove());
+
+        // Hold back the cards past the first screen for the harness to reveal on scroll
+        const cards = Array.from(document.querySelectorAll(productSelector));
+        let container = cards[0]?.parentElement;
+        while (container && cards.length > 1 && !container.contains(cards[1])) container = container.parentElement;
+        const heldBack = cards.slice(visible).filter(card => container.contains(card)).map((card) => {
+            let item = card;
+            while (item.parentElement !== container) item = item.parentElement;
+            return item;
+        });
+        if (heldBack.length > 0) {
+            container.setAttribute('data-fixture-results', '');
+            const template = document.createElement('template');
+            template.setAttribute('data-fixture-more', '[data-fixture-results]');
+            heldBack.forEach(item => template.content.appendChild(item));
+            container.after(template);
+        }
+
+        const endMarker = endOfResultsSelector && document.querySelector(endOfResultsSelector);
+        if (endMarker) {
+            endMarker.setAttribute('data-fixture-end', '');
+            endMarker.hidden = heldBack.length > 0;
+        }
+
+        return `<!DOCTYPE html>\n<!-- ${source} -->\n${document.documentElement.outerHTML}\n`;
+    }, {
+        productSelector: adapter.productSelector,
+        endOfResultsSelector: adapter.endOfResultsSelector || null,
+        visible: Number(values.visible),
+        source: `Captured from ${url} for pincode ${values.pincode} on ${new Date().toISOString().slice(0, 10)}`
+    });
+
+    const file = path.join(FIXTURES_DIR, `${name}.html`);
+    await writeFile(file, html);
+    console.log(`✅ Saved ${adapter.displayName} page for pincode ${values.pincode} to ${path.relative(process.cwd(), file)}`);
+} finally {
+    await browser.close();
+}
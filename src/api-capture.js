@@ -0,0 +1,70 @@
+// Products parsed from the listing API responses, per page
+const apiCaptures = new WeakMap();
+
+/**
+ * Listens to the page's listing XHR/fetch responses and keeps the products the
+ * adapter parses out of them. Must be attached before navigation so the first
+ * results page is not missed. Adapters without an API parser are skipped.
+ */
+export function startApiCapture(page, adapter) {
+    if (!adapter.apiResponseRegex || !adapter.parseApiProducts) return;
+
+    const captured = [];
+    apiCaptures.set(page, captured);
+
+    page.on('response', async (response) => {
+        const resourceType = response.request().resourceType();
+        if (!['xhr', 'fetch'].includes(resourceType) || !adapter.apiResponseRegex.test(response.url())) return;
+
+        try {
+            captured.push(...adapter.parseApiProducts(await response.json()));
+        } catch (e) {
+            // Not JSON, or the page navigated away before the body arrived
+        }
+    });
+}
+
+/**
+ * Drops what was captured so far, e.g. before a reload.
+ */
+export function resetApiCapture(page) {
+    const captured = apiCaptures.get(page);
+    if (captured) captured.length = 0;
+}
+
+/**
+ * Returns the captured products, first occurrence of each productId wins.
+ */
+export function takeApiProducts(page) {
+    const unique = new Map();
+    for (const product of apiCaptures.get(page) || []) {
+        if (!unique.has(product.productId)) unique.set(product.productId, product);
+    }
+    return Array.from(unique.values());
+}
+
+/**
+ * Combines API and DOM products in on-screen order: the API record wins where
+ * both exist (the DOM still supplies the sponsor tag, rating, layout, a picker's
+ * variants the API left out and offer badges it did not report), DOM-only cards
+ * fill the gaps, and API products never rendered are appended.
+ */
+export function mergeListingProducts(apiProducts, domProducts) {
+    const apiById = new Map(apiProducts.map(product => [product.productId, product]));
+    const merged = domProducts.map(domProduct => {
+        const apiProduct = apiById.get(domProduct.productId);
+        if (!apiProduct) return { ...domProduct, source: 'dom' };
+
+        apiById.delete(domProduct.productId);
+        const offerTexts = [...new Set([...(apiProduct.offerTexts || []), ...(domProduct.offerTexts || [])])];
+        return {
+            ...apiProduct,
+            isSponsored: apiProduct.isSponsored || domProduct.isSponsored,
+            rating: apiProduct.rating ?? domProduct.rating,
+            ...((apiProduct.variants || domProduct.variants) && { variants: apiProduct.variants || domProduct.variants }),
+            ...(offerTexts.length > 0 && { offerTexts }),
+            ...(domProduct.layout && { layout: domProduct.layout })
+        };
+    });
+    return [...merged, ...apiById.values()];
+}
@@ -0,0 +1,62 @@
+import { readFileSync } from 'node:fs';
+
+// Canonical brand -> aliases; extended or overridden by the `brandAliases` input
+export const DEFAULT_BRAND_DICTIONARY = JSON.parse(readFileSync(new URL('./brand-dictionary.json', import.meta.url), 'utf8'));
+
+export const BRAND_SOURCES = {
+    SITE: 'site',
+    DICTIONARY: 'dictionary',
+};
+
+const normalize = (text) => (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Builds a resolver over the default dictionary merged with `extraAliases`
+ * (`{ "Amul": ["AMUL", "Amul Dairy"] }`). Resolving returns
+ * `{ brand, brandSource, brandConfident }`:
+ * - a brand the site shows (card API or detail page) wins, mapped to its canonical name;
+ * - otherwise the longest dictionary alias the product name starts with;
+ * - otherwise `brand` is null and `brandConfident` false.
+ */
+export function createBrandResolver(extraAliases = {}) {
+    const canonicalByAlias = new Map();
+    for (const [canonical, aliases] of Object.entries({ ...DEFAULT_BRAND_DICTIONARY, ...extraAliases })) {
+        for (const alias of [canonical, ...aliases]) {
+            const key = normalize(alias);
+            if (key) canonicalByAlias.set(key, canonical);
+        }
+    }
+    // Longest first, so "Tata Sampann" wins over a shorter "Tata" alias
+    const aliasesByLength = Array.from(canonicalByAlias.keys()).sort((a, b) => b.length - a.length);
+
+    function canonicalize(brand) {
+        return canonicalByAlias.get(normalize(brand)) || brand.trim();
+    }
+
+    function fromName(productName) {
+        const name = normalize(productName);
+        const alias = aliasesByLength.find(a => name === a || name.startsWith(`${a} `));
+        return alias ? canonicalByAlias.get(alias) : null;
+    }
+
+    return {
+        canonicalize,
+
+        resolve({ brand, productName }) {
+            if (brand && normalize(brand)) {
+                return { brand: canonicalize(brand), brandSource: BRAND_SOURCES.SITE, brandConfident: true };
+            }
+            const matched = fromName(productName);
+            return matched
+                ? { brand: matched, brandSource: BRAND_SOURCES.DICTIONARY, brandConfident: true }
+                : { brand: null, brandSource: null, brandConfident: false };
+        }
+    };
+}
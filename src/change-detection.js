@@ -0,0 +1,193 @@
+import { Dataset, KeyValueStore } from 'crawlee';
+
+// Named storages survive between runs, unlike the default ones
+export const SNAPSHOT_STORE_NAME = 'product-snapshots';
+export const CHANGES_DATASET_NAME = 'product-changes';
+
+export const CHANGE_TYPES = {
+    PRICE_UP: 'price_up',
+    PRICE_DOWN: 'price_down',
+    DISCOUNT_CHANGED: 'discount_changed',
+    WENT_OUT_OF_STOCK: 'went_out_of_stock',
+    BACK_IN_STOCK: 'back_in_stock',
+    NEW_LISTING: 'new_listing',
+    DELISTED: 'delisted',
+};
+
+/**
+ * The part of a product record that is compared from run to run.
+ */
+export function toSnapshot(product) {
+    return {
+        productId: product.productId,
+        productName: product.productName,
+        productUrl: product.productUrl,
+        currentPrice: product.currentPrice ?? null,
+        originalPrice: product.originalPrice ?? null,
+        discountPercentage: product.discountPercentage ?? null,
+        isOutOfStock: Boolean(product.isOutOfStock),
+        searchUrl: product.searchUrl,
+        scrapedAt: product.scrapedAt
+    };
+}
+
+/**
+ * Compares the previous snapshot of a product with its current one.
+ * Returns `{ changeType, field, oldValue, newValue }` entries, empty when nothing changed.
+ */
+export function diffSnapshots(previous, current) {
+    if (!previous) {
+        return [{ changeType: CHANGE_TYPES.NEW_LISTING, field: null, oldValue: null, newValue: current.currentPrice }];
+    }
+
+    const changes = [];
+
+    // A missing price or discount (e.g. a card that failed to render it) is not a change
+    if (previous.currentPrice !== null && current.currentPrice !== null && previous.currentPrice !== current.currentPrice) {
+        changes.push({
+            changeType: current.currentPrice > previous.currentPrice ? CHANGE_TYPES.PRICE_UP : CHANGE_TYPES.PRICE_DOWN,
+            field: 'currentPrice',
+            oldValue: previous.currentPrice,
+            newValue: current.currentPrice
+        });
+    }
+
+    if (previous.discountPercentage !== null && current.discountPercentage !== null
+        && previous.discountPercentage !== current.discountPercentage) {
+        changes.push({
+            changeType: CHANGE_TYPES.DISCOUNT_CHANGED,
+            field: 'discountPercentage',
+            oldValue: previous.discountPercentage,
+            newValue: current.discountPercentage
+        });
+    }
+
+    if (previous.isOutOfStock !== current.isOutOfStock) {
+        changes.push({
+            changeType: current.isOutOfStock ? CHANGE_TYPES.WENT_OUT_OF_STOCK : CHANGE_TYPES.BACK_IN_STOCK,
+            field: 'isOutOfStock',
+            oldValue: previous.isOutOfStock,
+            newValue: current.isOutOfStock
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Tracks listing products against the snapshots of the previous run.
+ * Snapshots live in the `product-snapshots` key-value store, one record per
+ * platform and pincode holding the last known state of each productId; change
+ * events go to the `product-changes` dataset.
+ *
+ * A product missing from this run is reported as delisted only when the listing
+ * it was last seen in was crawled completely this run, so a query left out of the
+ * input, cut by `maxProductsPerSearch` or only scrolled part way does not delist its products.
+ * Events carry the `runId`.
+ */
+export function createChangeTracker({ runId = null, log }) {
+    // Loaded lazily per `${platform}|${pincode}`, shared by concurrent handlers
+    const snapshots = new Map();
+    const seen = new Set();
+    const completedListings = new Set();
+
+    let storePromise;
+    let datasetPromise;
+    const openStore = () => (storePromise ??= KeyValueStore.open(SNAPSHOT_STORE_NAME));
+    const openDataset = () => (datasetPromise ??= Dataset.open(CHANGES_DATASET_NAME));
+
+    const storeKey = (platform, pincode) => `${platform}-${pincode}`.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+
+    function loadSnapshots(platform, pincode) {
+        const key = `${platform}|${pincode}`;
+        if (!snapshots.has(key)) {
+            snapshots.set(key, openStore()
+                .then(store => store.getValue(storeKey(platform, pincode)))
+                .then(record => ({ platform, pincode, products: record?.products || {} })));
+        }
+        return snapshots.get(key);
+    }
+
+    function toEvent(change, snapshot, { platform, pincode, previous }) {
+        return {
+            ...change,
+            platform,
+            pincode,
+            productId: snapshot.productId,
+            productName: snapshot.productName,
+            productUrl: snapshot.productUrl,
+            searchUrl: snapshot.searchUrl,
+            previousScrapedAt: previous?.scrapedAt || null,
+            detectedAt: new Date().toISOString(),
+            runId
+        };
+    }
+
+    /**
+     * Diffs the saved products of one listing page and records their new snapshots.
+     * `complete` tells whether the whole listing was loaded and saved: scrolling
+     * reached its end and nothing was cut by `maxProductsPerSearch`.
+     */
+    async function recordListing({ platform, pincode, searchUrl, products, complete }) {
+        const record = await loadSnapshots(platform, pincode);
+        if (complete) completedListings.add(`${platform}|${pincode}|${searchUrl}`);
+
+        const events = [];
+        for (const product of products) {
+            // A product found by several listings is compared once per run
+            const seenKey = `${platform}|${pincode}|${product.productId}`;
+            if (!product.productId || seen.has(seenKey)) continue;
+            seen.add(seenKey);
+
+            const previous = record.products[product.productId];
+            const current = toSnapshot(product);
+            record.products[product.productId] = current;
+
+            for (const change of diffSnapshots(previous, current)) {
+                events.push(toEvent(change, current, { platform, pincode, previous }));
+            }
+        }
+
+        if (events.length > 0) {
+            await (await openDataset()).pushData(events);
+            log.info(`🔔 ${events.length} product changes detected @ ${pincode} on ${platform}`);
+        }
+        return events;
+    }
+
+    /**
+     * Reports the products of completed listings that were not seen this run
+     * as delisted and saves the snapshots for the next run.
+     */
+    async function finish() {
+        const store = await openStore();
+        const events = [];
+
+        for (const recordPromise of snapshots.values()) {
+            const { platform, pincode, products } = await recordPromise;
+
+            for (const [productId, previous] of Object.entries(products)) {
+                if (seen.has(`${platform}|${pincode}|${productId}`)) continue;
+                if (!completedListings.has(`${platform}|${pincode}|${previous.searchUrl}`)) continue;
+
+                events.push(toEvent({
+                    changeType: CHANGE_TYPES.DELISTED,
+                    field: null,
+                    oldValue: previous.currentPrice,
+                    newValue: null
+                }, previous, { platform, pincode, previous }));
+                delete products[productId];
+            }
+
+            await store.setValue(storeKey(platform, pincode), { platform, pincode, updatedAt: new Date().toISOString(), products });
+        }
+
+        if (events.length > 0) {
+            await (await openDataset()).pushData(events);
+        }
+        log.info(`💾 Saved product snapshots for ${snapshots.size} platform/pincode pair(s), ${events.length} delisted`);
+        return events;
+    }
+
+    return { recordListing, finish };
+}
@@ -0,0 +1,90 @@
+import { Dataset } from 'crawlee';
+import { listingNameOf } from './summary.js';
+
+// Per-query rows, kept when the default dataset holds one record per product
+export const LISTING_ROWS_DATASET_NAME = 'listing-rows';
+
+// Fields that describe where a row was found rather than the product itself
+const LISTING_FIELDS = [
+    'searchQuery', 'searchUrl', 'categoryPath', 'category',
+    'position', 'organicRank', 'sponsoredRank', 'gridRow', 'gridColumn', 'loadedAtScroll', 'scrollDepth'
+];
+
+/**
+ * Identifies a product within one platform and pincode.
+ */
+export function productKey(record) {
+    return [record.platform, record.pincode, record.productId || record.productUrl || record.productName].join('|');
+}
+
+/**
+ * The listing a row was found in and where: its name (see `listingNameOf`), its rank and sponsorship.
+ */
+export function membershipOf(record) {
+    return {
+        query: listingNameOf(record),
+        rank: record.position ?? null,
+        isSponsored: Boolean(record.isSponsored)
+    };
+}
+
+/**
+ * Merges per-query rows into one record per product and pincode. The first
+ * row seen supplies the product fields; `foundIn` lists every listing the
+ * product appeared in, best rank first.
+ */
+export function mergeListingRows(rows) {
+    const products = new Map();
+    for (const row of rows) {
+        const key = productKey(row);
+        if (!products.has(key)) {
+            const product = { ...row, foundIn: [] };
+            LISTING_FIELDS.forEach(field => delete product[field]);
+            products.set(key, product);
+        }
+
+        const { foundIn } = products.get(key);
+        const membership = membershipOf(row);
+        const existing = foundIn.find(entry => entry.query === membership.query);
+        // A retried listing reports the same query again; keep the better rank
+        if (!existing) {
+            foundIn.push(membership);
+        } else if ((membership.rank ?? Infinity) < (existing.rank ?? Infinity)) {
+            Object.assign(existing, membership);
+        }
+    }
+
+    for (const product of products.values()) {
+        product.foundIn.sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+    }
+    return Array.from(products.values());
+}
+
+/**
+ * De-duplicated output: the router's per-query rows go to the `listing-rows`
+ * dataset as they are saved, and at the end of the run the default dataset
+ * gets one record per product and pincode with its `foundIn` list.
+ */
+export function createProductCatalog({ log }) {
+    const rows = [];
+    let rowsDatasetPromise;
+
+    return {
+        /**
+         * Saves the rows of one listing to the `listing-rows` dataset.
+         */
+        async addListing(records) {
+            rows.push(...records);
+            await (await (rowsDatasetPromise ??= Dataset.open(LISTING_ROWS_DATASET_NAME))).pushData(records);
+        },
+
+        async finish() {
+            const products = mergeListingRows(rows);
+            if (products.length > 0) {
+                await Dataset.pushData(products);
+            }
+            log.info(`🧩 Saved ${products.length} unique products from ${rows.length} listing rows`);
+            return products;
+        }
+    };
+}
@@ -0,0 +1,190 @@
+import { Dataset, KeyValueStore } from 'crawlee';
+import initSqlJs from 'sql.js';
+import { CHANGES_DATASET_NAME } from './change-detection.js';
+import { LISTING_ROWS_DATASET_NAME } from './dedupe.js';
+import { MONITOR_DATASET_NAME } from './monitor.js';
+import { DETAILS_DATASET_NAME } from './routes.js';
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    SQLITE: 'sqlite',
+};
+
+export const EXPORT_SQLITE_KEY = 'EXPORT_SQLITE';
+export const EXPORT_SCHEMA_KEY = 'EXPORT_SCHEMA';
+export const exportCsvKey = (table) => `EXPORT_${table.toUpperCase()}_CSV`;
+
+/**
+ * Columns of every exported table, in order. Bump `version` whenever a column
+ * is added, removed, renamed or retyped, so loaders can tell the layouts apart.
+ * Types: TEXT, INTEGER, REAL, BOOLEAN (0/1 in SQLite) and JSON (text).
+ * Every table starts with the `runId`, `productId`, `pincode` key.
+ */
+export const EXPORT_SCHEMA = {
+    version: 4,
+    tables: {
+        listings: [
+            ['runId', 'TEXT'], ['productId', 'TEXT'], ['pincode', 'TEXT'],
+            ['platform', 'TEXT'], ['searchQuery', 'TEXT'], ['category', 'TEXT'], ['searchUrl', 'TEXT'],
+            ['position', 'INTEGER'], ['organicRank', 'INTEGER'], ['sponsoredRank', 'INTEGER'],
+            ['gridRow', 'INTEGER'], ['gridColumn', 'INTEGER'], ['loadedAtScroll', 'INTEGER'],
+            ['productName', 'TEXT'], ['brand', 'TEXT'], ['brandSource', 'TEXT'], ['brandConfident', 'BOOLEAN'],
+            ['productSlug', 'TEXT'], ['productUrl', 'TEXT'], ['productImage', 'TEXT'],
+            ['parentProductId', 'TEXT'], ['productVariantId', 'TEXT'], ['isDisplayedVariant', 'BOOLEAN'], ['variantCount', 'INTEGER'],
+            ['currentPrice', 'REAL'], ['originalPrice', 'REAL'], ['discountPercentage', 'REAL'],
+            ['productWeight', 'TEXT'], ['packQuantity', 'REAL'], ['packUnit', 'TEXT'], ['packCount', 'INTEGER'],
+            ['packBaseAmount', 'REAL'], ['packBaseUnit', 'TEXT'], ['unitPrice', 'REAL'], ['unitPriceBasis', 'TEXT'],
+            ['membershipPrice', 'REAL'], ['membershipProgram', 'TEXT'], ['maxOrderQuantity', 'INTEGER'], ['offers', 'JSON'],
+            ['rating', 'REAL'], ['isSponsored', 'BOOLEAN'], ['isOutOfStock', 'BOOLEAN'],
+            ['deliveryTime', 'TEXT'], ['resolvedLocality', 'TEXT'], ['scrapedAt', 'TEXT'],
+        ],
+        details: [
+            ['runId', 'TEXT'], ['productId', 'TEXT'], ['pincode', 'TEXT'],
+            ['platform', 'TEXT'], ['productSlug', 'TEXT'], ['parentProductId', 'TEXT'], ['productName', 'TEXT'],
+            ['brand', 'TEXT'], ['brandSource', 'TEXT'], ['brandConfident', 'BOOLEAN'],
+            ['description', 'TEXT'], ['images', 'JSON'], ['highlights', 'JSON'], ['ingredients', 'TEXT'],
+            ['nutrition', 'JSON'], ['shelfLife', 'TEXT'], ['countryOfOrigin', 'TEXT'],
+            ['manufacturerDetails', 'TEXT'], ['marketerDetails', 'TEXT'], ['sellerInfo', 'TEXT'],
+            ['currentPrice', 'REAL'], ['availability', 'TEXT'],
+            ['membershipPrice', 'REAL'], ['membershipProgram', 'TEXT'], ['maxOrderQuantity', 'INTEGER'], ['offers', 'JSON'],
+            ['attributes', 'JSON'],
+            ['productUrl', 'TEXT'], ['foundViaQuery', 'TEXT'], ['resolvedLocality', 'TEXT'], ['scrapedAt', 'TEXT'],
+        ],
+        changes: [
+            ['runId', 'TEXT'], ['productId', 'TEXT'], ['pincode', 'TEXT'],
+            ['platform', 'TEXT'], ['changeType', 'TEXT'], ['field', 'TEXT'], ['oldValue', 'JSON'], ['newValue', 'JSON'],
+            ['productName', 'TEXT'], ['productUrl', 'TEXT'], ['searchUrl', 'TEXT'],
+            ['previousScrapedAt', 'TEXT'], ['detectedAt', 'TEXT'],
+        ],
+        monitor: [
+            ['runId', 'TEXT'], ['productId', 'TEXT'], ['pincode', 'TEXT'],
+            ['platform', 'TEXT'], ['productName', 'TEXT'], ['productUrl', 'TEXT'], ['status', 'TEXT'], ['delistedReason', 'TEXT'],
+            ['currentPrice', 'REAL'], ['originalPrice', 'REAL'], ['discountPercentage', 'REAL'], ['isOutOfStock', 'BOOLEAN'],
+            ['deliveryTime', 'TEXT'],
+            ['membershipPrice', 'REAL'], ['membershipProgram', 'TEXT'], ['maxOrderQuantity', 'INTEGER'], ['offers', 'JSON'],
+            ['resolvedLocality', 'TEXT'], ['scrapedAt', 'TEXT'],
+        ],
+    },
+};
+
+/**
+ * Converts a record field to its column type; missing values become null.
+ */
+function toColumnValue(value, type) {
+    if (value === undefined || value === null || value === '') return null;
+    switch (type) {
+        case 'BOOLEAN': return value ? 1 : 0;
+        case 'INTEGER': return Number.isFinite(Number(value)) ? Math.round(Number(value)) : null;
+        case 'REAL': return Number.isFinite(Number(value)) ? Number(value) : null;
+        case 'JSON': return JSON.stringify(value);
+        default: return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+/**
+ * Flattens records into rows of a table's columns, stamped with the run id.
+ */
+export function toRows(table, records, runId) {
+    const columns = EXPORT_SCHEMA.tables[table];
+    return records.map(record => columns.map(([name, type]) => toColumnValue(name === 'runId' ? runId : record[name], type)));
+}
+
+function csvCell(value, type) {
+    if (value === null) return '';
+    const text = type === 'BOOLEAN' ? String(Boolean(value)) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders the rows of a table as CSV, with a header line and a BOM so Excel reads it as UTF-8.
+ */
+export function renderCsv(table, rows) {
+    const columns = EXPORT_SCHEMA.tables[table];
+    const lines = [
+        columns.map(([name]) => name).join(','),
+        ...rows.map(row => row.map((value, index) => csvCell(value, columns[index][1])).join(',')),
+    ];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Builds the SQLite database: every table of the schema (empty ones included),
+ * a `(runId, productId, pincode)` index per table and an `exportInfo` table;
+ * `PRAGMA user_version` holds the schema version.
+ */
+export async function buildSqlite(rowsByTable, { runId, exportedAt }) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    try {
+        db.run(`PRAGMA user_version = ${EXPORT_SCHEMA.version}`);
+        db.run('CREATE TABLE exportInfo (key TEXT PRIMARY KEY, value TEXT)');
+        const info = db.prepare('INSERT INTO exportInfo VALUES (?, ?)');
+        for (const entry of [['schemaVersion', String(EXPORT_SCHEMA.version)], ['runId', runId], ['exportedAt', exportedAt]]) {
+            info.run(entry);
+        }
+        info.free();
+
+        for (const [table, columns] of Object.entries(EXPORT_SCHEMA.tables)) {
+            const definitions = columns.map(([name, type]) => `"${name}" ${type === 'BOOLEAN' ? 'INTEGER' : type === 'JSON' ? 'TEXT' : type}`);
+            db.run(`CREATE TABLE ${table} (${definitions.join(', ')})`);
+            db.run(`CREATE INDEX ${table}_key ON ${table} ("runId", "productId", "pincode")`);
+
+            const insert = db.prepare(`INSERT INTO ${table} VALUES (${columns.map(() => '?').join(', ')})`);
+            db.run('BEGIN');
+            for (const row of rowsByTable[table] || []) insert.run(row);
+            db.run('COMMIT');
+            insert.free();
+        }
+        return Buffer.from(db.export());
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Items of a dataset saved by the run `runId`; named datasets keep earlier and overlapping runs.
+ */
+async function readDataset(name, runId) {
+    const dataset = await Dataset.open(name);
+    const items = [];
+    await dataset.forEach((item) => {
+        if (item.runId === runId) items.push(item);
+    });
+    return items;
+}
+
+/**
+ * Writes the run's listing rows, product details, change events and monitored
+ * products to the default key-value store in the fixed `EXPORT_SCHEMA` layout:
+ * one CSV per table that has rows (`EXPORT_LISTINGS_CSV`, ...), one SQLite
+ * database with every table (`EXPORT_SQLITE`) and the schema itself (`EXPORT_SCHEMA`).
+ * Only records stamped with `runId` are exported. With `dedupeProducts` the
+ * per-query rows are read from `listing-rows`.
+ */
+export async function exportResults({ runId, formats, dedupeProducts = false, log }) {
+    const records = {
+        listings: await readDataset(dedupeProducts ? LISTING_ROWS_DATASET_NAME : undefined, runId),
+        details: await readDataset(DETAILS_DATASET_NAME, runId),
+        changes: await readDataset(CHANGES_DATASET_NAME, runId),
+        monitor: await readDataset(MONITOR_DATASET_NAME, runId),
+    };
+    const rowsByTable = Object.fromEntries(Object.entries(records).map(([table, items]) => [table, toRows(table, items, runId)]));
+    const exportedAt = new Date().toISOString();
+
+    await KeyValueStore.setValue(EXPORT_SCHEMA_KEY, EXPORT_SCHEMA);
+
+    if (formats.includes(EXPORT_FORMATS.CSV)) {
+        for (const [table, rows] of Object.entries(rowsByTable)) {
+            if (rows.length === 0) continue;
+            await KeyValueStore.setValue(exportCsvKey(table), renderCsv(table, rows), { contentType: 'text/csv; charset=utf-8' });
+        }
+    }
+    if (formats.includes(EXPORT_FORMATS.SQLITE)) {
+        const database = await buildSqlite(rowsByTable, { runId, exportedAt });
+        await KeyValueStore.setValue(EXPORT_SQLITE_KEY, database, { contentType: 'application/vnd.sqlite3' });
+    }
+
+    const counts = Object.entries(rowsByTable).map(([table, rows]) => `${rows.length} ${table}`).join(', ');
+    log.info(`📦 Exported ${counts} (schema v${EXPORT_SCHEMA.version}) as ${formats.join(' and ')}`);
+    return rowsByTable;
+}
@@ -0,0 +1,197 @@
+import { readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Actor } from 'apify';
+
+export const CAPTURE_MODES = {
+    NEVER: 'never',
+    ON_FAILURE: 'onFailure',
+    ON_LOW_PRODUCTS: 'onLowProducts',
+    ALWAYS: 'always',
+};
+
+export const FAILED_URLS_KEY = 'FAILED_URLS';
+
+// Console and network entries kept per page, the latest ones win
+const MAX_LOG_ENTRIES = 300;
+
+/**
+ * One entry of the failed URL list.
+ */
+export function describeFailure(request, error) {
+    return {
+        url: request.url,
+        label: request.label || null,
+        platform: request.userData.platform || null,
+        pincode: request.userData.pincode || null,
+        query: request.userData.query || null,
+        reason: error?.message || request.errorMessages?.at(-1) || 'unknown error',
+        errorMessages: request.errorMessages || [],
+        retryCount: request.retryCount,
+        artifacts: request.userData.artifacts || [],
+        failedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Captures what a page looked like when something went wrong: full-page
+ * screenshot, DOM snapshot, console/network log and, with `captureTrace`,
+ * a Playwright trace zip. `mode` picks when (see `CAPTURE_MODES`); failures
+ * are captured in every mode but `never`, low product counts from
+ * `onLowProducts` on, and every page with `always`.
+ *
+ * Artifacts go to the default key-value store; their keys are appended to
+ * `request.userData.artifacts`, so the failed URL list points at them.
+ */
+export function createForensics({ mode = CAPTURE_MODES.ON_FAILURE, captureTrace = false, log }) {
+    const pageLogs = new WeakMap();
+    // Tracing is per browser context, which the pages of a session share: one chunk at a time
+    const traces = new WeakMap();
+    const failures = [];
+
+    let storePromise;
+    const openStore = () => (storePromise ??= Actor.openKeyValueStore());
+
+    const enabled = mode !== CAPTURE_MODES.NEVER;
+
+    async function stopTrace(page, tracePath) {
+        if (!captureTrace) return false;
+        const trace = traces.get(page.context());
+        if (trace?.page !== page) return false;
+
+        trace.page = null;
+        try {
+            await page.context().tracing.stopChunk(tracePath ? { path: tracePath } : undefined);
+            return true;
+        } catch (e) {
+            log.debug(`Could not stop trace: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Starts recording the page's console and network log (and trace). Call before navigation.
+     */
+    async function attach(page) {
+        if (!enabled) return;
+
+        const entries = [];
+        pageLogs.set(page, entries);
+        const push = (entry) => {
+            entries.push({ ...entry, at: new Date().toISOString() });
+            if (entries.length > MAX_LOG_ENTRIES) entries.shift();
+        };
+
+        page.on('console', message => push({ type: 'console', level: message.type(), text: message.text() }));
+        page.on('pageerror', error => push({ type: 'pageerror', text: error.message }));
+        page.on('requestfailed', request => push({ type: 'requestfailed', url: request.url(), text: request.failure()?.errorText || null }));
+        page.on('response', response => {
+            if (response.status() >= 400) push({ type: 'response', url: response.url(), status: response.status() });
+        });
+
+        if (!captureTrace) return;
+
+        const context = page.context();
+        const trace = traces.get(context) || { started: false, page: null };
+        traces.set(context, trace);
+        if (trace.page) return;
+
+        try {
+            if (!trace.started) {
+                await context.tracing.start({ screenshots: true, snapshots: true });
+                trace.started = true;
+            }
+            await context.tracing.startChunk();
+            trace.page = page;
+            page.once('close', () => stopTrace(page));
+        } catch (e) {
+            log.debug(`Could not start trace: ${e.message}`);
+        }
+    }
+
+    /**
+     * Saves the page's artifacts under `ARTIFACT-<request id>-<attempt>-*` keys.
+     */
+    async function capture(page, request, reason) {
+        const prefix = `ARTIFACT-${request.id || request.uniqueKey.replace(/[^a-zA-Z0-9]/g, '').slice(0, 40)}-${request.retryCount}`;
+        const store = await openStore();
+        const keys = {};
+
+        const save = async (name, producer, contentType) => {
+            try {
+                const value = await producer();
+                if (value === null) return;
+                const key = `${prefix}-${name}`;
+                await store.setValue(key, value, { contentType });
+                keys[name] = key;
+            } catch (e) {
+                log.warning(`⚠️ Could not capture ${name} for ${request.url}: ${e.message}`);
+            }
+        };
+
+        await save('screenshot', () => page.screenshot({ fullPage: true, timeout: 15000 }), 'image/png');
+        await save('html', () => page.content(), 'text/html');
+        await save('log', async () => JSON.stringify({
+            url: request.url,
+            pageUrl: page.url(),
+            reason,
+            entries: pageLogs.get(page) || []
+        }, null, 2), 'application/json');
+        await save('trace', async () => {
+            const tracePath = path.join(os.tmpdir(), `${prefix}-trace.zip`);
+            if (!await stopTrace(page, tracePath)) return null;
+            const zip = await readFile(tracePath);
+            await rm(tracePath, { force: true });
+            return zip;
+        }, 'application/zip');
+
+        const artifact = {
+            reason,
+            attempt: request.retryCount + 1,
+            capturedAt: new Date().toISOString(),
+            keys,
+            urls: Object.fromEntries(Object.entries(keys).map(([name, key]) => [name, store.getPublicUrl(key)]))
+        };
+        request.userData.artifacts = [...(request.userData.artifacts || []), artifact];
+
+        log.info(`📸 Saved ${Object.keys(keys).join(', ')} for ${request.url} (${reason})`);
+        return artifact;
+    }
+
+    return {
+        attach,
+
+        /** A failed attempt: captured unless the mode is `never`. */
+        async onError(page, request, error) {
+            if (enabled && page) await capture(page, request, error.message);
+        },
+
+        /** A listing that ended with fewer products than expected. */
+        async onLowProducts(page, request, productCount) {
+            if ([CAPTURE_MODES.ON_LOW_PRODUCTS, CAPTURE_MODES.ALWAYS].includes(mode)) {
+                await capture(page, request, `only ${productCount} products extracted`);
+            }
+        },
+
+        /** A handled page: captured with `always`, otherwise its trace chunk is dropped. */
+        async onSuccess(page, request) {
+            if (mode === CAPTURE_MODES.ALWAYS) {
+                await capture(page, request, 'captured on success');
+            } else {
+                await stopTrace(page);
+            }
+        },
+
+        /**
+         * Adds a request that ran out of retries to the `FAILED_URLS` list.
+         */
+        async recordFailure(request, error) {
+            failures.push(describeFailure(request, error));
+            await (await openStore()).setValue(FAILED_URLS_KEY, failures);
+        },
+
+        get failures() {
+            return failures;
+        }
+    };
+}
@@ -0,0 +1,194 @@
+import { readFileSync } from 'node:fs';
+import { resolveMonitorTarget } from './monitor.js';
+import { PLATFORMS, getPlatformForUrl } from './platforms/index.js';
+import { POLICY_MODES, RESOURCE_ACTIONS, RESOURCE_KINDS } from './resource-policy.js';
+
+// The Apify input schema is the single list of options, types and ranges
+export const INPUT_SCHEMA = JSON.parse(readFileSync(new URL('../.actor/input_schema.json', import.meta.url), 'utf8'));
+
+const PINCODE_REGEX = /^[1-9]\d{5}$/;
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Edit distance, for suggesting the option a misspelt key was meant to be.
+ */
+function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+function suggestKey(key) {
+    const lower = key.toLowerCase();
+    const [closest] = Object.keys(INPUT_SCHEMA.properties)
+        .map(name => ({ name, score: name.toLowerCase() === lower ? 0 : distance(lower, name.toLowerCase()) }))
+        .sort((a, b) => a.score - b.score);
+    return closest && closest.score <= 3 ? closest.name : null;
+}
+
+/**
+ * Checks a value against its schema property: type, enum, range and pattern.
+ */
+function checkProperty(key, value, property) {
+    const type = typeOf(value);
+    const expected = property.type;
+
+    if (!(type === expected || (expected === 'number' && type === 'integer'))) {
+        return [`"${key}" must be ${expected === 'integer' ? 'an' : 'a'} ${expected}, got ${type}`];
+    }
+
+    const errors = [];
+    if (property.enum && !property.enum.includes(value)) {
+        errors.push(`"${key}" must be one of ${property.enum.join(', ')}, got "${value}"`);
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+        errors.push(`"${key}" must be at least ${property.minimum}, got ${value}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+        errors.push(`"${key}" must be at most ${property.maximum}, got ${value}`);
+    }
+    if (type === 'array') {
+        const itemType = property.items?.type || (property.editor === 'stringList' ? 'string' : null);
+        value.forEach((item, index) => {
+            if (itemType && typeOf(item) !== itemType) {
+                errors.push(`"${key}[${index}]" must be a ${itemType}, got ${typeOf(item)}`);
+            } else if (property.items?.enum && !property.items.enum.includes(item)) {
+                errors.push(`"${key}[${index}]" must be one of ${property.items.enum.join(', ')}, got "${item}"`);
+            }
+        });
+    }
+    return errors;
+}
+
+function checkPincode(key, value) {
+    return PINCODE_REGEX.test(String(value).trim()) ? [] : [`"${key}" must be a 6-digit Indian pincode, got "${value}"`];
+}
+
+function checkBrandAliases(key, value) {
+    return Object.entries(value)
+        .filter(([, aliases]) => !Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string'))
+        .map(([brand]) => `"${key}.${brand}" must be a list of alias strings`);
+}
+
+function checkResourcePolicy(key, value) {
+    const modes = Object.values(POLICY_MODES);
+    const actions = Object.values(RESOURCE_ACTIONS);
+    const errors = [];
+    for (const [mode, kinds] of Object.entries(value)) {
+        if (!modes.includes(mode)) {
+            errors.push(`"${key}.${mode}" is not a mode, use one of ${modes.join(', ')}`);
+        } else if (typeOf(kinds) !== 'object') {
+            errors.push(`"${key}.${mode}" must be an object of resource kinds to actions, got ${typeOf(kinds)}`);
+        } else {
+            for (const [kind, action] of Object.entries(kinds)) {
+                if (!RESOURCE_KINDS.includes(kind)) errors.push(`"${key}.${mode}.${kind}" is not a resource kind, use one of ${RESOURCE_KINDS.join(', ')}`);
+                else if (!actions.includes(action)) errors.push(`"${key}.${mode}.${kind}" must be one of ${actions.join(', ')}, got ${JSON.stringify(action)}`);
+            }
+        }
+    }
+    return errors;
+}
+
+function checkHttpUrl(key, value) {
+    let protocol = null;
+    try {
+        protocol = new URL(value).protocol;
+    } catch (e) {
+        // Not a URL at all
+    }
+    return ['http:', 'https:'].includes(protocol) ? [] : [`"${key}" must be an http(s) URL, got "${value}"`];
+}
+
+function checkWatchItem(key, item) {
+    if (typeOf(item) !== 'object') return [`"${key}" must be an object, got ${typeOf(item)}`];
+
+    const errors = [];
+    if (!item.productId && !item.productUrl) errors.push(`"${key}" needs a "productId" or a "productUrl"`);
+    if (item.productUrl) errors.push(...checkHttpUrl(`${key}.productUrl`, item.productUrl));
+    if (item.pincode !== undefined) errors.push(...checkPincode(`${key}.pincode`, item.pincode));
+    if (item.targetPrice !== undefined && !(typeof item.targetPrice === 'number' && item.targetPrice >= 0)) {
+        errors.push(`"${key}.targetPrice" must be a non-negative number, got ${JSON.stringify(item.targetPrice)}`);
+    }
+    if (item.targetPrice === undefined && !item.alertOnStockChange) {
+        errors.push(`"${key}" needs a "targetPrice" or "alertOnStockChange": true`);
+    }
+    return errors;
+}
+
+function checkMonitorEntry(key, value) {
+    return resolveMonitorTarget(value, Object.values(PLATFORMS)).length > 0
+        ? []
+        : [`"${key}" is neither a product ID nor a product page URL of a platform that supports monitoring: "${value}"`];
+}
+
+function checkListingUrl(key, value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return [`"${key}" is not a valid URL: "${value}"`];
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return [`"${key}" must be an http(s) URL, got "${value}"`];
+    }
+
+    const adapter = getPlatformForUrl(value);
+    if (!adapter) {
+        return [`"${key}" is not a Zepto or Blinkit URL: "${value}"`];
+    }
+    if (!adapter.isListingUrl(value)) {
+        return [`"${key}" is not a ${adapter.displayName} search or category listing URL: "${value}"`];
+    }
+    return [];
+}
+
+/**
+ * Validates the actor input against `.actor/input_schema.json` plus the checks
+ * the schema cannot express: pincodes, URLs, brand aliases, watchlist items, the
+ * resource policy and unknown keys.
+ * Returns a list of readable errors, empty when the input is valid.
+ */
+export function validateInput(input) {
+    if (typeOf(input) !== 'object') {
+        return [`Input must be a JSON object, got ${typeOf(input)}`];
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(input)) {
+        const property = INPUT_SCHEMA.properties[key];
+        if (!property) {
+            const suggestion = suggestKey(key);
+            errors.push(`Unknown input option "${key}"${suggestion ? `, did you mean "${suggestion}"?` : ''}`);
+            continue;
+        }
+        if (value === null || value === undefined) continue;
+
+        const propertyErrors = checkProperty(key, value, property);
+        errors.push(...propertyErrors);
+        if (propertyErrors.length > 0) continue;
+
+        if (key === 'pincode') errors.push(...checkPincode(key, value));
+        if (key === 'pincodes') value.forEach((item, index) => errors.push(...checkPincode(`${key}[${index}]`, item)));
+        if (key === 'searchUrls') value.forEach((item, index) => errors.push(...checkListingUrl(`${key}[${index}]`, item)));
+        if (key === 'brandAliases') errors.push(...checkBrandAliases(key, value));
+        if (key === 'resourcePolicy') errors.push(...checkResourcePolicy(key, value));
+        if (key === 'monitorProducts') value.forEach((item, index) => errors.push(...checkMonitorEntry(`${key}[${index}]`, item)));
+        if (key === 'watchlist') value.forEach((item, index) => errors.push(...checkWatchItem(`${key}[${index}]`, item)));
+        if (key === 'alertWebhookUrl') errors.push(...checkHttpUrl(key, value));
+    }
+    return errors;
+}
@@ -0,0 +1,95 @@
+import { KeyValueStore } from 'crawlee';
+
+// Named, so saved locations outlive the run
+export const LOCATION_STATE_STORE_NAME = 'location-states';
+
+// Loaded states per `${platform}|${pincode}`; null once dropped
+const cache = new Map();
+
+let storePromise;
+const openStore = () => (storePromise ??= KeyValueStore.open(LOCATION_STATE_STORE_NAME));
+
+const stateKey = (adapter, targetPincode) => `${adapter.name}-${targetPincode}`.replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+
+/**
+ * Keeps only the cookies and localStorage origins of the adapter's own site.
+ */
+export function filterStorageState(storageState, adapter) {
+    const belongsToSite = (url) => {
+        try {
+            return adapter.matchesUrl(url);
+        } catch (e) {
+            return false;
+        }
+    };
+
+    return {
+        cookies: storageState.cookies.filter(cookie => belongsToSite(`https://${cookie.domain.replace(/^\./, '')}/`)),
+        origins: storageState.origins.filter(origin => belongsToSite(origin.origin))
+    };
+}
+
+/**
+ * Returns the saved location state of a platform and pincode, or null.
+ */
+export async function loadLocationState(adapter, targetPincode) {
+    const key = `${adapter.name}|${targetPincode}`;
+    if (!cache.has(key)) {
+        cache.set(key, openStore().then(store => store.getValue(stateKey(adapter, targetPincode))));
+    }
+    return cache.get(key);
+}
+
+/**
+ * Saves the browser storage of a page whose location was just set and verified.
+ */
+export async function saveLocationState(page, adapter, targetPincode, locality) {
+    const state = {
+        platform: adapter.name,
+        pincode: targetPincode,
+        locality,
+        savedAt: new Date().toISOString(),
+        storageState: filterStorageState(await page.context().storageState(), adapter)
+    };
+
+    cache.set(`${adapter.name}|${targetPincode}`, Promise.resolve(state));
+    await (await openStore()).setValue(stateKey(adapter, targetPincode), state);
+    return state;
+}
+
+/**
+ * Forgets a saved location state once it is stale: the site stopped honouring
+ * it, its cookies expired or the page was blocked with it applied.
+ */
+export async function dropLocationState(adapter, targetPincode) {
+    cache.set(`${adapter.name}|${targetPincode}`, Promise.resolve(null));
+    await (await openStore()).setValue(stateKey(adapter, targetPincode), null);
+}
+
+/**
+ * Names of the saved cookies that have expired by `now` (ms); session cookies never do.
+ */
+export function expiredCookieNames(state, now = Date.now()) {
+    return state.storageState.cookies
+        .filter(cookie => cookie.expires > 0 && cookie.expires * 1000 <= now)
+        .map(cookie => cookie.name);
+}
+
+/**
+ * Copies a saved state into the page's browser context: cookies for every
+ * page of the context, localStorage for the origin the page is on.
+ * The page has to be reloaded for the site to pick it up.
+ */
+export async function applyLocationState(page, state) {
+    const { cookies, origins } = state.storageState;
+    if (cookies.length > 0) {
+        await page.context().addCookies(cookies);
+    }
+
+    const origin = origins.find(o => o.origin === new URL(page.url()).origin);
+    if (origin) {
+        await page.evaluate((items) => {
+            items.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+        }, origin.localStorage);
+    }
+}
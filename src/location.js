@@ -0,0 +1,297 @@
+import { resetApiCapture } from './api-capture.js';
+import { applyLocationState, dropLocationState, expiredCookieNames, loadLocationState, saveLocationState } from './location-state.js';
+import { delay, simplifyText } from './utils.js';
+
+// Address suggestions tried before giving up with a location mismatch
+const MAX_LOCATION_SUGGESTIONS = 3;
+
+// Responses that mean the site refused the page, not that the location is wrong
+const BLOCKED_STATUSES = [401, 403, 429];
+
+// One page per browser: pages of one browser share its cookies and localStorage, i.e. its location,
+// so each browser and the session bound to it serve one request, for one pincode, at a time
+export const SESSION_BROWSER_POOL_OPTIONS = { maxOpenPagesPerBrowser: 1 };
+
+/**
+ * Splits the header location text into locality and pincode,
+ * dropping the delivery ETA that shares the same element.
+ */
+export function parseLocationText(text) {
+    if (!text) return { text: null, locality: null, pincode: null };
+
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    const pincode = normalized.match(/\b(\d{6})\b/)?.[1] || null;
+    const locality = normalized
+        .replace(/(delivery|delivering)\s+in\s+\d+\s*(mins?|minutes)/ig, '')
+        .replace(/\b\d+\s*(mins?|minutes)\b/ig, '')
+        .replace(/select location/ig, '')
+        .replace(/\b\d{6}\b/, '')
+        .replace(/^[\s,|\-–]+|[\s,|\-–.…]+$/g, '')
+        .trim();
+
+    return { text: normalized, locality: locality || null, pincode };
+}
+
+/**
+ * Reads the delivery location currently shown in the page header,
+ * from the first selector that has text.
+ */
+export async function readAppliedLocation(page, selectors) {
+    for (const selector of selectors) {
+        const el = page.locator(selector).first();
+        if (await el.count() === 0) continue;
+
+        const text = await el.innerText({ timeout: 2000 }).catch(() => '');
+        if (text.trim()) {
+            return parseLocationText(text);
+        }
+    }
+    return parseLocationText(null);
+}
+
+/**
+ * Decides whether the applied location belongs to the target pincode.
+ * When the header shows no pincode, the locality has to match the clicked
+ * suggestion and that suggestion has to mention the pincode.
+ */
+export function locationMatches(applied, targetPincode, suggestionText) {
+    if (!applied.text) return false;
+    if (applied.pincode) return applied.pincode === targetPincode;
+    if (!applied.locality || !suggestionText?.includes(targetPincode)) return false;
+
+    const localityHead = simplifyText(applied.locality.split(',')[0]);
+    return localityHead.length > 0 && simplifyText(suggestionText).includes(localityHead);
+}
+
+/**
+ * Opens the address modal, unless it is already open.
+ */
+async function openLocationModal(page, log, selectors) {
+    if (await page.locator(selectors.locationModal).count() > 0) {
+        return true;
+    }
+
+    let clicked = false;
+    for (const selector of selectors.locationButton) {
+        try {
+            const button = page.locator(selector).first();
+            if (await button.count() > 0) {
+                await button.click({ timeout: 3000 });
+                log.info(`✓ Clicked location button: ${selector}`);
+                clicked = true;
+                break;
+            }
+        } catch (e) {
+            continue;
+        }
+    }
+
+    if (!clicked) {
+        log.warning('⚠️ Location button not found');
+        return false;
+    }
+
+    await delay(500);
+
+    try {
+        await page.waitForSelector(selectors.locationModal, { timeout: 5000 });
+    } catch (e) {
+        log.warning('⚠️ Location modal not detected');
+        return false;
+    }
+
+    await delay(500);
+    return true;
+}
+
+/**
+ * Types the pincode into the address search and returns the suggestions,
+ * the ones mentioning the pincode first.
+ */
+async function searchAddress(page, log, selectors, targetPincode) {
+    const searchInput = page.locator(selectors.searchInput).first();
+
+    if (await searchInput.count() === 0) {
+        log.error('❌ Search input not found in modal');
+        return [];
+    }
+
+    await searchInput.focus();
+    await delay(200);
+    await page.keyboard.press('Control+A');
+    await page.keyboard.press('Backspace');
+    await delay(200);
+    await searchInput.type(targetPincode, { delay: 80 });
+
+    await delay(1000);
+
+    try {
+        await page.waitForSelector(selectors.searchResultItem, { timeout: 5000 });
+    } catch (e) {
+        log.error('❌ No address results appeared');
+        return [];
+    }
+
+    const texts = await page.locator(selectors.searchResultItem).allInnerTexts();
+    const suggestions = texts.map((text, index) => ({ index, text: text.replace(/\s+/g, ' ').trim() }));
+
+    return [
+        ...suggestions.filter(s => s.text.includes(targetPincode)),
+        ...suggestions.filter(s => !s.text.includes(targetPincode))
+    ];
+}
+
+/**
+ * Sets the pincode location through the site's address modal and verifies it against the header.
+ * `selectors` names the location button(s), modal, search input, suggestion items and header.
+ * Tries the address suggestions in turn until one resolves to the target pincode.
+ * Returns `{ success, locality, resolvedPincode, reason }`.
+ */
+export async function setPincode(page, log, selectors, targetPincode) {
+    try {
+        log.info(`🎯 Setting location to pincode: ${targetPincode}`);
+
+        await page.waitForLoadState('domcontentloaded');
+        await delay(800);
+
+        let reason = 'no address suggestion could be applied';
+
+        for (let attempt = 0; attempt < MAX_LOCATION_SUGGESTIONS; attempt++) {
+            if (!await openLocationModal(page, log, selectors)) {
+                return { success: false, reason: 'location modal could not be opened' };
+            }
+
+            const suggestions = await searchAddress(page, log, selectors, targetPincode);
+            if (suggestions.length === 0) {
+                return { success: false, reason: 'no address results appeared' };
+            }
+            if (attempt >= suggestions.length) break;
+
+            const suggestion = suggestions[attempt];
+            log.info(`📍 Trying address suggestion ${attempt + 1}: ${suggestion.text}`);
+
+            await page.locator(selectors.searchResultItem).nth(suggestion.index).click({ force: true });
+            await delay(1000);
+
+            if (await page.locator(selectors.locationModal).count() > 0) {
+                reason = 'address modal stayed open after selecting a suggestion';
+                log.warning(`⚠️ ${reason}`);
+                continue;
+            }
+
+            const applied = await readAppliedLocation(page, selectors.locationHeader);
+            if (locationMatches(applied, targetPincode, suggestion.text)) {
+                log.info(`✅ Location set and verified: ${applied.locality} (${applied.pincode || targetPincode})`);
+                return {
+                    success: true,
+                    locality: applied.locality,
+                    resolvedPincode: applied.pincode || targetPincode
+                };
+            }
+
+            reason = `location mismatch: header shows "${applied.text || 'nothing'}" instead of ${targetPincode}`;
+            log.warning(`⚠️ ${reason}`);
+        }
+
+        return { success: false, reason };
+    } catch (error) {
+        log.error(`❌ Error setting pincode: ${error.message}`);
+        return { success: false, reason: error.message };
+    }
+}
+
+/**
+ * Tries the location state saved for the pincode: applies it, reloads and checks
+ * the header. Only a stale state is dropped: expired cookies, a header showing
+ * another location, or a page blocked with the state applied.
+ * Returns the locality, or null when the address modal has to be used.
+ */
+async function restoreLocationState(page, log, adapter, targetPincode) {
+    const state = await loadLocationState(adapter, targetPincode);
+    if (!state) return null;
+
+    const expired = expiredCookieNames(state);
+    if (expired.length > 0) {
+        log.warning(`⚠️ Saved location for ${targetPincode} has expired cookies (${expired.join(', ')}), dropping it`);
+        await dropLocationState(adapter, targetPincode);
+        return null;
+    }
+
+    log.info(`♻️ Reusing saved ${adapter.displayName} location for ${targetPincode} (${state.locality}, saved ${state.savedAt})`);
+    await applyLocationState(page, state);
+
+    resetApiCapture(page);
+    const response = await page.reload({ waitUntil: 'domcontentloaded' });
+    if (BLOCKED_STATUSES.includes(response?.status())) {
+        log.warning(`⚠️ Blocked (HTTP ${response.status()}) with the saved location for ${targetPincode} applied, dropping it`);
+        await dropLocationState(adapter, targetPincode);
+        return null;
+    }
+    await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
+    await delay(1000);
+
+    const applied = await readAppliedLocation(page, adapter.selectors.locationHeader);
+    const matches = applied.pincode
+        ? applied.pincode === targetPincode
+        : Boolean(applied.locality) && applied.locality === state.locality;
+    if (matches) {
+        return applied.locality || state.locality;
+    }
+
+    log.warning(`⚠️ Saved location for ${targetPincode} no longer applies: header shows "${applied.text || 'nothing'}", dropping it`);
+    await dropLocationState(adapter, targetPincode);
+    return null;
+}
+
+/**
+ * Makes sure the session's browser is located at the target pincode on the adapter's site.
+ * Relies on `SESSION_BROWSER_POOL_OPTIONS`: the page is the only one its browser has open.
+ * Locations are stored on the session per platform once set and verified, so later
+ * requests bound to the same session skip the location flow. A new session first
+ * tries the browser storage saved for the pincode by an earlier session or run, and
+ * only then the address modal, whose verified result is saved for the next ones.
+ * Retires the session on failure; saved states outlive retired sessions. Returns the resolved locality.
+ */
+export async function ensureSessionLocation(page, session, log, adapter, targetPincode) {
+    session.userData.locations ??= {};
+    const current = session.userData.locations[adapter.name];
+
+    if (current?.pincode === targetPincode) {
+        log.info(`📍 Session ${session.id} already located at ${targetPincode} on ${adapter.displayName} (${current.locality})`);
+        return current.locality;
+    }
+
+    const restoredLocality = await restoreLocationState(page, log, adapter, targetPincode);
+    if (restoredLocality) {
+        session.userData.locations[adapter.name] = {
+            pincode: targetPincode,
+            locality: restoredLocality,
+            locationSetAt: new Date().toISOString(),
+            restored: true
+        };
+        return restoredLocality;
+    }
+
+    const location = await adapter.setLocation(page, log, targetPincode);
+    if (!location.success) {
+        session.retire();
+        throw new Error(`Could not set location to pincode ${targetPincode}: ${location.reason}`);
+    }
+
+    session.userData.locations[adapter.name] = {
+        pincode: targetPincode,
+        locality: location.locality,
+        locationSetAt: new Date().toISOString()
+    };
+    await saveLocationState(page, adapter, targetPincode, location.locality)
+        .catch(error => log.warning(`⚠️ Could not save location state: ${error.message}`));
+
+    // Reload so the page and its listing API calls are served for the new location
+    log.info('⏳ Reloading page with new location...');
+    resetApiCapture(page);
+    await page.reload({ waitUntil: 'domcontentloaded' });
+    await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
+    await delay(1000);
+
+    return location.locality;
+}
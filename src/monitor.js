@@ -0,0 +1,77 @@
+import { offerFields } from './offers.js';
+import { getPlatformForUrl } from './platforms/index.js';
+
+export const MONITOR_DATASET_NAME = 'monitored-products';
+
+export const MONITOR_STATUSES = {
+    AVAILABLE: 'available',
+    DELISTED: 'delisted',
+};
+
+/**
+ * Adapters that can monitor products by ID.
+ */
+export const supportsMonitoring = (adapter) => Boolean(adapter.productUrlRegex && adapter.buildProductUrl && adapter.extractProductOffer);
+
+/**
+ * Resolves a `monitorProducts` entry to the product pages to fetch: a product
+ * URL goes to the platform that serves it, a bare product ID to every selected
+ * platform that supports monitoring. Returns `[{ adapter, productId, url }]`,
+ * empty when the entry names no supported product page.
+ */
+export function resolveMonitorTarget(entry, adapters) {
+    const value = String(entry).trim();
+    if (!value) return [];
+    if (!/^https?:\/\//i.test(value)) {
+        return adapters.filter(supportsMonitoring).map(adapter => ({ adapter, productId: value, url: adapter.buildProductUrl(value) }));
+    }
+
+    let adapter = null;
+    try {
+        adapter = getPlatformForUrl(value);
+    } catch (e) {
+        return [];
+    }
+    const match = adapter && supportsMonitoring(adapter) ? value.match(adapter.productUrlRegex) : null;
+    return match ? [{ adapter, productId: match[2], url: value }] : [];
+}
+
+/**
+ * Why a fetched product page no longer shows the product, or null when it does:
+ * a 404/410, a redirect away from product pages, or a page without name and price.
+ */
+export function delistedReason({ status, finalUrl, adapter, offer }) {
+    if (status === 404 || status === 410) return `HTTP ${status}`;
+    if (finalUrl && !adapter.productUrlRegex.test(new URL(finalUrl).pathname)) return `redirected to ${finalUrl}`;
+    if (offer && !offer.productName && offer.currentPrice === null) return 'page shows no product';
+    return null;
+}
+
+/**
+ * The monitoring record of one product at one pincode, with the promotions
+ * its page shows there.
+ */
+export function toMonitorRecord({ productId, url, adapter, pincode, resolvedLocality, offer = null, reason = null }) {
+    const { productName = null, currentPrice = null, originalPrice = null, isOutOfStock = null, deliveryTime = null, offerTexts = [] } = offer || {};
+    const discountPercentage = currentPrice && originalPrice && originalPrice > currentPrice
+        ? Math.round(((originalPrice - currentPrice) / originalPrice) * 100)
+        : null;
+
+    return {
+        productId,
+        productName,
+        productUrl: url,
+        status: reason ? MONITOR_STATUSES.DELISTED : MONITOR_STATUSES.AVAILABLE,
+        delistedReason: reason,
+        currentPrice,
+        originalPrice,
+        discountPercentage,
+        isOutOfStock,
+        deliveryTime,
+        ...offerFields({}, offerTexts),
+        platform: adapter.displayName,
+        pincode,
+        resolvedLocality,
+        scrapedAt: new Date().toISOString()
+    };
+}
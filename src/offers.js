@@ -0,0 +1,118 @@
+export const OFFER_TYPES = {
+    MEMBERSHIP_PRICE: 'membership_price',
+    MEMBERSHIP_DISCOUNT: 'membership_discount',
+    BUY_X_GET_Y: 'buy_x_get_y',
+    COMBO: 'combo',
+    BANK_OFFER: 'bank_offer',
+    EXTRA_DISCOUNT: 'extra_discount',
+    QUANTITY_LIMIT: 'quantity_limit',
+    OTHER: 'other',
+};
+
+// Programs whose members see a lower price, by the words their badges use
+const MEMBERSHIP_PROGRAMS = [
+    { name: 'Zepto Pass', pattern: /\b(zepto\s*)?pass\b/i },
+    { name: 'Zepto Super Saver', pattern: /\bsuper\s*saver\b/i },
+    { name: 'Blinkit Plus', pattern: /\bblinkit\s*plus\b/i },
+    { name: 'Membership', pattern: /\bmembers?(hip)?\b/i },
+];
+
+// "Save ₹5 with Pass" states what members save, not what they pay
+const SAVINGS_PATTERN = /\b(save|saving|savings|off|extra|discount)\b/i;
+
+// A bank offer names a bank or a card/wallet issuer; "card" or "UPI" alone could be anything
+const BANK_PATTERN = /\b(bank|hdfc|icici|sbi|axis|kotak|idfc|rbl|indusind|onecard|amex|paytm|phonepe|mobikwik|cred|simpl|lazypay|amazon\s*pay)\b/i;
+const PROVIDER_PATTERN = /\b(hdfc|icici|sbi|axis|kotak|idfc|rbl|indusind|onecard|amex|paytm|phonepe|mobikwik|cred|simpl|lazypay|amazon\s*pay)\b/i;
+
+const amountIn = (text) => {
+    const match = text.match(/(?:₹|rs\.?|inr)\s*(\d+(?:,\d+)*(?:\.\d+)?)/i);
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+};
+const percentIn = (text) => {
+    const match = text.match(/(\d+(?:\.\d+)?)\s*%/);
+    return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Reads one promotional badge. Returns `{ type, text, ... }` with the numbers
+ * the type carries; badges that match no known shape come back as `other`.
+ */
+export function parseOfferBadge(text) {
+    const badge = String(text).replace(/\s+/g, ' ').trim();
+
+    // Only wording that states a limit: "Only 2 items left" is about stock, not the order
+    const quantityLimit = badge.match(/\b(?:max(?:imum)?|limit(?:ed to)?)[\s:]*(?:of\s*)?(\d+)\b(?!\s*%)/i)
+        || badge.match(/\b(\d+)\s*(?:units?|qty|items?)?\s*(?:max(?:imum)?\s*)?per\s*(?:order|customer)\b/i);
+    if (quantityLimit) {
+        return { type: OFFER_TYPES.QUANTITY_LIMIT, text: badge, maxOrderQuantity: Number(quantityLimit[1]) };
+    }
+
+    const buyGet = badge.match(/\bbuy\s*(\d+)\s*(?:,|and)?\s*get\s*(\d+)/i);
+    if (buyGet) {
+        return { type: OFFER_TYPES.BUY_X_GET_Y, text: badge, buyQuantity: Number(buyGet[1]), getQuantity: Number(buyGet[2]) };
+    }
+
+    // Before bank offers: a membership price may mention the program's card
+    const program = MEMBERSHIP_PROGRAMS.find(p => p.pattern.test(badge));
+    if (program && SAVINGS_PATTERN.test(badge) && (amountIn(badge) !== null || percentIn(badge) !== null)) {
+        return {
+            type: OFFER_TYPES.MEMBERSHIP_DISCOUNT,
+            text: badge,
+            program: program.name,
+            discountPercent: percentIn(badge),
+            discountAmount: /%/.test(badge) ? null : amountIn(badge)
+        };
+    }
+    if (program && amountIn(badge) !== null) {
+        return { type: OFFER_TYPES.MEMBERSHIP_PRICE, text: badge, program: program.name, price: amountIn(badge) };
+    }
+
+    if (BANK_PATTERN.test(badge)) {
+        return {
+            type: OFFER_TYPES.BANK_OFFER,
+            text: badge,
+            provider: badge.match(PROVIDER_PATTERN)?.[1].replace(/\s+/g, ' ').toUpperCase() || null,
+            discountPercent: percentIn(badge),
+            discountAmount: /%/.test(badge) ? null : amountIn(badge)
+        };
+    }
+
+    const combo = badge.match(/\b(?:any\s*)?(\d+)\s*(?:for|@)\s*(?:₹|rs\.?)\s*(\d+(?:\.\d+)?)/i);
+    if (combo || /\bcombo\b/i.test(badge)) {
+        return {
+            type: OFFER_TYPES.COMBO,
+            text: badge,
+            comboQuantity: combo ? Number(combo[1]) : null,
+            comboPrice: combo ? parseFloat(combo[2]) : amountIn(badge)
+        };
+    }
+
+    if (/\bextra\b.*\boff\b/i.test(badge)) {
+        return {
+            type: OFFER_TYPES.EXTRA_DISCOUNT,
+            text: badge,
+            discountPercent: percentIn(badge),
+            discountAmount: /%/.test(badge) ? null : amountIn(badge)
+        };
+    }
+
+    return { type: OFFER_TYPES.OTHER, text: badge };
+}
+
+/**
+ * Structured promotion fields of a record, from its badge texts and whatever
+ * the API reported directly (`membershipPrice`, `maxOrderQuantity`).
+ */
+export function offerFields(product, offerTexts = []) {
+    const offers = [...new Set(offerTexts.map(text => String(text).replace(/\s+/g, ' ').trim()).filter(Boolean))]
+        .map(parseOfferBadge);
+    const membership = offers.find(offer => offer.type === OFFER_TYPES.MEMBERSHIP_PRICE);
+    const limit = offers.find(offer => offer.type === OFFER_TYPES.QUANTITY_LIMIT);
+
+    return {
+        membershipPrice: product.membershipPrice ?? membership?.price ?? null,
+        membershipProgram: product.membershipProgram ?? membership?.program ?? null,
+        maxOrderQuantity: product.maxOrderQuantity ?? limit?.maxOrderQuantity ?? null,
+        offers
+    };
+}
@@ -0,0 +1,106 @@
+// Units as printed on the cards, mapped to the base unit and its factor
+const UNITS = {
+    mg: { base: 'g', factor: 0.001 },
+    g: { base: 'g', factor: 1 },
+    gm: { base: 'g', factor: 1 },
+    gms: { base: 'g', factor: 1 },
+    gram: { base: 'g', factor: 1 },
+    grams: { base: 'g', factor: 1 },
+    kg: { base: 'g', factor: 1000 },
+    kgs: { base: 'g', factor: 1000 },
+    ml: { base: 'ml', factor: 1 },
+    l: { base: 'ml', factor: 1000 },
+    ltr: { base: 'ml', factor: 1000 },
+    litre: { base: 'ml', factor: 1000 },
+    litres: { base: 'ml', factor: 1000 },
+    liter: { base: 'ml', factor: 1000 },
+    liters: { base: 'ml', factor: 1000 },
+    pc: { base: 'pc', factor: 1 },
+    pcs: { base: 'pc', factor: 1 },
+    piece: { base: 'pc', factor: 1 },
+    pieces: { base: 'pc', factor: 1 },
+    unit: { base: 'pc', factor: 1 },
+    units: { base: 'pc', factor: 1 },
+};
+
+const UNIT_PATTERN = Object.keys(UNITS).sort((a, b) => b.length - a.length).join('|');
+const AMOUNT = `(\\d+(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})\\b`;
+
+const UNPARSED = {
+    packQuantity: null,
+    packUnit: null,
+    packCount: null,
+    packBaseAmount: null,
+    packBaseUnit: null,
+    packSizeParsed: false
+};
+
+function build(quantity, unit, count) {
+    const { base, factor } = UNITS[unit];
+    return {
+        packQuantity: quantity,
+        packUnit: unit,
+        packCount: count,
+        packBaseAmount: Math.round(quantity * factor * count * 1000) / 1000,
+        packBaseUnit: base,
+        packSizeParsed: true
+    };
+}
+
+/**
+ * Parses the pack size text of a card ("500 ml", "2 x 1 L", "Pack of 6",
+ * "1 pc (approx. 450-600 g)") into quantity, unit, multipack count and the
+ * total amount in grams, millilitres or pieces. Text that does not parse
+ * comes back with `packSizeParsed: false` and null fields.
+ */
+export function parsePackSize(text) {
+    if (!text) return { ...UNPARSED };
+
+    // Approximate weights of loose items are informational, the item is sold per piece
+    const normalized = text.toLowerCase().replace(/\(.*?\)/g, ' ').replace(/×/g, 'x').replace(/\s+/g, ' ').trim();
+
+    // "2 x 1 L", "6 x 200 g"
+    let match = normalized.match(new RegExp(`^(\\d+)\\s*x\\s*${AMOUNT}$`));
+    if (match) return build(parseFloat(match[2]), match[3], parseInt(match[1], 10));
+
+    // "200 g x 6"
+    match = normalized.match(new RegExp(`^${AMOUNT}\\s*x\\s*(\\d+)$`));
+    if (match) return build(parseFloat(match[1]), match[2], parseInt(match[3], 10));
+
+    // "Pack of 6", "Pack of 2 x 500 ml"
+    match = normalized.match(new RegExp(`^pack of (\\d+)(?:\\s*x\\s*${AMOUNT})?$`));
+    if (match) {
+        return match[2]
+            ? build(parseFloat(match[2]), match[3], parseInt(match[1], 10))
+            : build(1, 'pc', parseInt(match[1], 10));
+    }
+
+    // "500 ml", "1 kg", "1 pc", "12 pieces"
+    match = normalized.match(new RegExp(`^${AMOUNT}$`));
+    if (match) return build(parseFloat(match[1]), match[2], 1);
+
+    return { ...UNPARSED };
+}
+
+/**
+ * Price per 100 g, per 100 ml or per piece, rounded to paise.
+ */
+export function computeUnitPrice(price, packSize) {
+    if (typeof price !== 'number' || !packSize.packSizeParsed || !packSize.packBaseAmount) {
+        return { unitPrice: null, unitPriceBasis: null };
+    }
+
+    const per = packSize.packBaseUnit === 'pc' ? 1 : 100;
+    return {
+        unitPrice: Math.round((price / packSize.packBaseAmount) * per * 100) / 100,
+        unitPriceBasis: packSize.packBaseUnit === 'pc' ? 'per piece' : `per 100 ${packSize.packBaseUnit}`
+    };
+}
+
+/**
+ * Pack size and unit price fields added to a listing record.
+ */
+export function packSizeFields(product) {
+    const packSize = parsePackSize(product.productWeight);
+    return { ...packSize, ...computeUnitPrice(product.currentPrice, packSize) };
+}
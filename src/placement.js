@@ -0,0 +1,53 @@
+// Cards whose tops are this close share a grid row
+const ROW_TOLERANCE_PX = 20;
+
+/**
+ * Groups card positions into grid rows (top to bottom) and columns (left to right).
+ * Returns `{ gridRow, gridColumn }` per layout, nulls for cards without a box.
+ */
+export function computeGridPositions(layouts) {
+    const placed = layouts
+        .map((layout, index) => ({ index, top: layout?.top ?? null, left: layout?.left ?? null }))
+        .filter(card => card.top !== null && card.left !== null)
+        .sort((a, b) => a.top - b.top || a.left - b.left);
+
+    const rows = [];
+    for (const card of placed) {
+        const row = rows.at(-1);
+        if (row && card.top - row[0].top <= ROW_TOLERANCE_PX) {
+            row.push(card);
+        } else {
+            rows.push([card]);
+        }
+    }
+
+    const positions = layouts.map(() => ({ gridRow: null, gridColumn: null }));
+    rows.forEach((row, rowIndex) => {
+        row.sort((a, b) => a.left - b.left).forEach((card, columnIndex) => {
+            positions[card.index] = { gridRow: rowIndex + 1, gridColumn: columnIndex + 1 };
+        });
+    });
+    return positions;
+}
+
+/**
+ * Adds placement fields to the full, untruncated listing in on-screen order:
+ * absolute `position`, `organicRank` (ads skipped), `sponsoredRank` (ads only),
+ * grid row/column and the scroll step/offset at which the card loaded.
+ * Replaces the extractors' raw `layout`.
+ */
+export function assignPlacement(products) {
+    const grid = computeGridPositions(products.map(product => product.layout));
+    let organicRank = 0;
+    let sponsoredRank = 0;
+
+    return products.map(({ layout, ...product }, index) => ({
+        ...product,
+        position: index + 1,
+        organicRank: product.isSponsored ? null : ++organicRank,
+        sponsoredRank: product.isSponsored ? ++sponsoredRank : null,
+        ...grid[index],
+        loadedAtScroll: layout?.loadedAtScroll ?? null,
+        scrollDepth: layout?.scrollDepth ?? null
+    }));
+}
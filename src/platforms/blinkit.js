@@ -0,0 +1,238 @@
+import { setPincode } from '../location.js';
+import { installPageHelpers } from './page-helpers.js';
+
+// ==================== CONSTANTS & SELECTORS ====================
+export const SELECTORS = {
+    // Location / Pincode
+    locationButton: [
+        'div[class*="LocationBar__Container"]',
+        'div[class*="LocationBar__Title"]'
+    ],
+    locationModal: 'input[name="select-locality"]',
+    searchInput: 'input[name="select-locality"]',
+    searchResultItem: 'div[class*="LocationSearchList__LocationListContainer"]',
+    locationHeader: [
+        'div[class*="LocationBar__Subtitle"]',
+        'div[class*="LocationBar__Container"]'
+    ],
+
+    // Products: cards carry the product id in their id attribute. Card fields are ordered chains
+    productCard: 'div[id][role="button"][tabindex="0"].tw-relative.tw-flex.tw-h-full.tw-flex-col',
+    productCardFallback: 'div[role="button"][tabindex="0"]',
+
+    // Product Details (Inside card)
+    productName: ['div.tw-text-300.tw-font-semibold.tw-line-clamp-2', 'div[class*="line-clamp-2"][class*="font-semibold"]'],
+    productImage: ['img[src*="cdn.grofers.com"]', 'img'],
+    packSize: [
+        'div.tw-flex.tw-items-center div.tw-text-200.tw-font-medium.tw-line-clamp-1',
+        'div.tw-text-200.tw-font-medium.tw-line-clamp-1'
+    ],
+    price: ['div.tw-text-200.tw-font-semibold'],
+    discountBadge: ['svg ~ div.tw-text-050'],
+    productLink: ['a[href*="/prn/"]'],
+};
+
+const HOME_URL = 'https://blinkit.com/';
+
+// ==================== EXTRACTION ====================
+
+/**
+ * Extracts the product cards of a search or category listing page.
+ * Falls back to any button-like card with a title, a price and an ADD button.
+ * `selectorHits` counts, per field, which selector of its chain matched.
+ */
+export async function extractListing(page) {
+    await installPageHelpers(page);
+
+    return page.evaluate((selectors) => {
+        const { imageUrlOf } = window.__scraperHelpers;
+        const productCards = [];
+        const selectorHits = {};
+        let deliveryTime = null;
+
+        function hit(field, selector) {
+            selectorHits[field] ??= {};
+            selectorHits[field][selector] = (selectorHits[field][selector] || 0) + 1;
+        }
+
+        // First element matched by the field's chain
+        function queryChain(root, field) {
+            for (const sel of selectors[field]) {
+                const el = root.querySelector(sel);
+                if (el) {
+                    hit(field, sel);
+                    return el;
+                }
+            }
+            return null;
+        }
+
+        // Every element matched by the first selector of the chain that matches any
+        function queryChainAll(root, field) {
+            for (const sel of selectors[field]) {
+                const els = root.querySelectorAll(sel);
+                if (els.length > 0) {
+                    hit(field, sel);
+                    return Array.from(els);
+                }
+            }
+            return [];
+        }
+
+        // Position on the page, for rank/grid placement, and when the card loaded (see autoScroll)
+        function layoutOf(el) {
+            const rect = el.getBoundingClientRect();
+            const loadedAtScroll = el.getAttribute('data-loaded-at-scroll');
+            return {
+                top: rect.width || rect.height ? Math.round(rect.top + window.scrollY) : null,
+                left: rect.width || rect.height ? Math.round(rect.left + window.scrollX) : null,
+                loadedAtScroll: loadedAtScroll === null ? null : Number(loadedAtScroll),
+                scrollDepth: loadedAtScroll === null ? null : Number(el.getAttribute('data-scroll-depth'))
+            };
+        }
+
+        const productItems = document.querySelectorAll(selectors.productCard);
+        if (productItems.length > 0) selectorHits.productCard = { [selectors.productCard]: productItems.length };
+
+        productItems.forEach((item, index) => {
+            try {
+                // Extract product ID from the div id attribute
+                const productId = item.id;
+
+                const titleElement = queryChain(item, 'productName');
+                const productName = titleElement ? titleElement.textContent.trim() : null;
+
+                const imgElement = queryChain(item, 'productImage');
+                const productImage = imageUrlOf(imgElement);
+
+                const weightElement = queryChain(item, 'packSize');
+                const productWeight = weightElement ? weightElement.textContent.trim() : null;
+
+                // The first price is the selling price, a higher one is the MRP
+                let currentPrice = null;
+                let originalPrice = null;
+                queryChainAll(item, 'price').forEach(priceEl => {
+                    const priceMatch = priceEl.textContent.trim().match(/₹\s*(\d+(?:,\d+)*(?:\.\d+)?)/);
+                    if (priceMatch) {
+                        const price = parseFloat(priceMatch[1].replace(/,/g, ''));
+                        if (!currentPrice) {
+                            currentPrice = price;
+                        } else if (price > currentPrice) {
+                            originalPrice = price;
+                        }
+                    }
+                });
+
+                let discountPercentage = null;
+                const discountBadge = queryChain(item, 'discountBadge');
+                if (discountBadge) {
+                    const discountMatch = discountBadge.textContent.trim().match(/(\d+)%/);
+                    if (discountMatch) {
+                        discountPercentage = parseInt(discountMatch[1]);
+                    }
+                }
+
+                // If no discount found but we have original price, calculate it
+                if (!discountPercentage && currentPrice && originalPrice && originalPrice > currentPrice) {
+                    discountPercentage = Math.round(((originalPrice - currentPrice) / originalPrice) * 100);
+                }
+
+                let productUrl = null;
+                const linkElement = queryChain(item, 'productLink');
+                if (linkElement) {
+                    productUrl = linkElement.href;
+                } else if (productId) {
+                    productUrl = `https://blinkit.com/prn/product/prid/${productId}`;
+                }
+
+                // Every card repeats the delivery ETA
+                const deliveryMatch = (item.innerText || item.textContent).match(/(\d+\s*MINS?)/i);
+                if (deliveryMatch && !deliveryTime) {
+                    deliveryTime = deliveryMatch[1];
+                }
+
+                const isOutOfStock = /out of stock/i.test(item.textContent || '');
+
+                // Only add if we have at least a name or price
+                if (productName || currentPrice) {
+                    productCards.push({
+                        productId: productId || `product-${index}`,
+                        productSlug: null,
+                        productName,
+                        productImage,
+                        currentPrice,
+                        originalPrice,
+                        discountPercentage,
+                        productWeight,
+                        rating: null,
+                        isSponsored: false,
+                        isOutOfStock,
+                        productUrl,
+                        layout: layoutOf(item),
+                        scrapedAt: new Date().toISOString()
+                    });
+                }
+            } catch (err) {
+                // Skip malformed card
+            }
+        });
+
+        // Fallback: If no products found with ID-based method, try alternative
+        if (productCards.length === 0) {
+            document.querySelectorAll(selectors.productCardFallback).forEach((item, index) => {
+                if (!item.textContent.includes('ADD')) return;
+
+                const title = queryChain(item, 'productName');
+                const price = queryChain(item, 'price');
+
+                if (title && price) {
+                    hit('productCard', selectors.productCardFallback);
+                    const priceMatch = price.textContent.trim().match(/₹\s*(\d+(?:,\d+)*(?:\.\d+)?)/);
+                    const img = queryChain(item, 'productImage');
+                    const weightEl = queryChain(item, 'packSize');
+
+                    productCards.push({
+                        productId: item.id || `fallback-${index}`,
+                        productSlug: null,
+                        productName: title.textContent.trim(),
+                        productImage: imageUrlOf(img),
+                        currentPrice: priceMatch ? parseFloat(priceMatch[1].replace(/,/g, '')) : null,
+                        originalPrice: null,
+                        discountPercentage: null,
+                        productWeight: weightEl ? weightEl.textContent.trim() : null,
+                        rating: null,
+                        isSponsored: false,
+                        isOutOfStock: false,
+                        productUrl: null,
+                        layout: layoutOf(item),
+                        scrapedAt: new Date().toISOString()
+                    });
+                }
+            });
+        }
+
+        return { products: productCards, deliveryTime, selectorHits };
+    }, SELECTORS);
+}
+
+// ==================== ADAPTER ====================
+
+export const blinkitAdapter = {
+    name: 'blinkit',
+    displayName: 'Blinkit',
+    homeUrl: HOME_URL,
+    selectors: SELECTORS,
+    productSelector: SELECTORS.productCard,
+    monitoredFields: ['productName', 'productImage', 'currentPrice', 'productWeight'],
+
+    matchesUrl: (url) => /(^|\.)blinkit\.com$/.test(new URL(url).hostname),
+    buildSearchUrl: (query) => `${HOME_URL}s/?q=${encodeURIComponent(query)}`,
+    getSearchQuery: (url) => new URL(url).searchParams.get('q'),
+    isListingUrl: (url) => {
+        const { pathname, searchParams } = new URL(url);
+        return (/^\/s\/?$/.test(pathname) && Boolean(searchParams.get('q'))) || pathname.startsWith('/cn/');
+    },
+
+    setLocation: (page, log, targetPincode) => setPincode(page, log, SELECTORS, targetPincode),
+    extractListing,
+};
@@ -0,0 +1,34 @@
+import { blinkitAdapter } from './blinkit.js';
+import { zeptoAdapter } from './zepto.js';
+
+/**
+ * Platform adapters by input name. Every adapter provides `name`, `displayName`,
+ * `homeUrl`, `selectors`, `productSelector`, `matchesUrl`, `isListingUrl`, `buildSearchUrl`,
+ * `getSearchQuery`, `setLocation`, `extractListing` (card fields as selector chains,
+ * returning `selectorHits`) and `monitoredFields` (fill rates checked by the selector
+ * health report). Optional capabilities:
+ * `apiResponseRegex` + `parseApiProducts` (API capture, also the listing requests
+ * scrolling waits for), `endOfResultsSelector` (ends scrolling), `productUrlRegex` +
+ * `extractProductDetail` (detail pages), `buildProductUrl` + `extractProductOffer`
+ * (monitoring mode), `categorySelector` + `extractCategoryLinks` (category mode),
+ * `extractServiceability` (serviceability check).
+ */
+export const PLATFORMS = {
+    [zeptoAdapter.name]: zeptoAdapter,
+    [blinkitAdapter.name]: blinkitAdapter,
+};
+
+export function getPlatform(name) {
+    const adapter = PLATFORMS[String(name).toLowerCase()];
+    if (!adapter) {
+        throw new Error(`Unknown platform "${name}". Supported: ${Object.keys(PLATFORMS).join(', ')}`);
+    }
+    return adapter;
+}
+
+/**
+ * Finds the adapter whose site serves the URL, or null.
+ */
+export function getPlatformForUrl(url) {
+    return Object.values(PLATFORMS).find(adapter => adapter.matchesUrl(url)) || null;
+}
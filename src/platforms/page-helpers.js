@@ -0,0 +1,70 @@
+// ==================== IN-PAGE HELPERS ====================
+// These run in the browser, not in Node: keep them free of imports and outer variables.
+
+function textOrNull(el) {
+    const text = el ? (el.innerText || el.textContent || '').trim() : '';
+    return text || null;
+}
+
+function parsePrice(el) {
+    const match = (el?.textContent || '').match(/₹\s*(\d+(?:,\d+)*(?:\.\d+)?)/);
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+// The real image URL, also when a lazy loader or the resource policy left a placeholder in `src`
+function imageUrlOf(img) {
+    if (!img) return null;
+    const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset') || '';
+    const candidates = [
+        img.currentSrc,
+        img.getAttribute('src'),
+        img.getAttribute('data-src'),
+        img.getAttribute('data-lazy-src'),
+        img.getAttribute('data-original'),
+        srcset.split(',')[0].trim().split(/\s+/)[0]
+    ];
+    const found = candidates.find(src => src && !src.startsWith('data:'));
+    return found ? new URL(found, document.baseURI).href : null;
+}
+
+// Texts of the promotion badges outside the pack-size picker, nested matches counted once
+function offerTexts(root, selectors, onMatch = () => {}) {
+    const badges = [];
+    for (const sel of selectors.offerBadge) {
+        root.querySelectorAll(sel).forEach(el => {
+            if (selectors.variantOption.some(option => el.closest(option))) return;
+            if (badges.some(badge => badge.contains(el) || el.contains(badge))) return;
+            badges.push(el);
+            onMatch(sel);
+        });
+    }
+    return [...new Set(badges.map(textOrNull).filter(Boolean))];
+}
+
+// Texts of the elements a selector chain matches, in chain order, nested matches counted once
+function textsOf(root, chain) {
+    const found = [];
+    for (const sel of chain) {
+        root.querySelectorAll(sel).forEach(el => {
+            if (!found.some(other => other.contains(el) || el.contains(other))) found.push(el);
+        });
+    }
+    return found.map(el => textOrNull(el)?.replace(/\s+/g, ' ')).filter(Boolean);
+}
+
+const HELPERS = { textOrNull, parsePrice, imageUrlOf, offerTexts, textsOf };
+
+// One definition per document, shared by every extractor that runs on it
+const HELPERS_SOURCE = `window.__scraperHelpers ??= (() => {
+${Object.values(HELPERS).map(helper => helper.toString()).join('\n')}
+return { ${Object.keys(HELPERS).join(', ')} };
+})();`;
+
+/**
+ * Defines the shared helpers on the page's current document as
+ * `window.__scraperHelpers`, unless already there. Extractors call it before
+ * their `page.evaluate`, whose body reads the helpers from there.
+ */
+export async function installPageHelpers(page) {
+    await page.evaluate(HELPERS_SOURCE);
+}
@@ -0,0 +1,619 @@
+import { setPincode } from '../location.js';
+import { delay } from '../utils.js';
+import { installPageHelpers } from './page-helpers.js';
+
+// ==================== CONSTANTS & SELECTORS ====================
+export const SELECTORS = {
+    // Location / Pincode
+    locationButton: [
+        'button[aria-label="Select Location"]',
+        'button.__4y7HY',
+        'div.a0Ppr button'
+    ],
+    locationModal: 'div[data-testid="address-modal"]',
+    searchInput: 'div[data-testid="address-search-input"] input[type="text"]',
+    searchResultItem: 'div[data-testid="address-search-item"]',
+    locationHeader: [
+        '[data-testid="user-address"]',
+        'button[aria-label="Select Location"]',
+        'button.__4y7HY'
+    ],
+
+    // Products: every card field is an ordered chain, stable attributes before hashed classes
+    productLink: ['a.B4vNQ', 'a[href*="/pn/"]'],
+    productCard: ['div.cavQgJ.cTH4Df', 'div[data-is-out-of-stock]'], // Falls back to the link itself
+
+    // Product Details (Inside card)
+    productName: [
+        'div[data-slot-id="ProductName"] span',
+        'div.cQAjo6.ch5GgP span',
+        'h3',
+        'h2'
+    ],
+    productImage: ['img[src*="cdn.zeptonow.com"]', 'img'],
+    price: ['[data-slot-id="EdlpPrice"] span', 'span'], // First one carrying a ₹ amount
+    originalPrice: ['span[class*="mrp" i]', 'span[class*="strike" i]', 'span[class*="original" i]'],
+    packSize: ['[data-slot-id="PackSize"] span', '[data-slot-id="PackSize"]'],
+    rating: ['[data-slot-id="RatingInformation"]'],
+    sponsorTag: ['[data-slot-id="SponsorTag"]'],
+    // Promotion badges: every match is kept, not just the first
+    offerBadge: [
+        '[data-slot-id="OfferTag"]',
+        '[data-slot-id="PassPrice"]',
+        '[data-testid*="offer" i]',
+        '[class*="offer-tag" i]'
+    ],
+    // Pack-size picker options, on cards and product pages
+    variantOption: ['[data-testid="variant-option"]', 'button[data-variant-id]'],
+    deliveryTime: ['[data-testid="delivery-time"] span', '[data-testid="delivery-time"]'],
+
+    // Search / Listing
+    searchResultsContainer: 'div.grid', // Generic grid container, might need adjustment
+    endOfResults: ['[data-testid="end-of-results"]', '[data-testid*="no-more" i]', '[class*="end-of-list" i]'],
+
+    // Product detail page
+    detailName: ['h1', '[data-testid="pdp-product-name"]'],
+    detailImage: [
+        '[data-testid*="carousel"] img',
+        '[data-testid*="gallery"] img',
+        'img[src*="cdn.zeptonow.com"]'
+    ],
+    detailLabel: 'h2, h3, h4, h5, h6, dt, th, strong, b, [data-testid*="label"]',
+    detailTable: 'table',
+    detailPrice: ['[data-testid="pdp-price"] [data-slot-id="EdlpPrice"] span', '[data-testid="pdp-price"] span'],
+    detailMrp: ['[data-testid="pdp-price"] span[class*="mrp" i]', '[data-testid="pdp-price"] span[class*="strike" i]'],
+    detailNotifyMe: ['button[aria-label*="Notify" i]', '[data-testid*="notify" i]'],
+
+    // Category navigation
+    categoryLink: 'a[href*="/cn/"]',
+
+    // Location banners, read by the serviceability check
+    unserviceableBanner: ['[data-testid="unserviceable-banner"]', '[data-testid*="not-serviceable" i]', '[class*="unserviceable" i]'],
+    storeStatusBanner: ['[data-testid="store-closed-banner"]', '[data-testid*="store-status" i]', '[class*="store-closed" i]'],
+    feeBanner: ['[data-testid*="surge" i]', '[data-testid*="fee-banner" i]', '[class*="surge" i]', '[class*="small-cart" i]'],
+};
+
+const HOME_URL = 'https://www.zepto.com/';
+
+// Product detail pages look like /pn/<slug>/pvid/<id>
+const PRODUCT_URL_REGEX = /\/pn\/([^/]+)\/pvid\/([^/?#]+)/;
+
+// Category listing pages look like /cn/<category>/<subcategory>/cid/<id>/scid/<id>
+const CATEGORY_URL_REGEX = /\/cn\/([^/]+)\/([^/]+)\/cid\/([^/]+)\/scid\/([^/?#]+)/;
+
+// Search/listing API calls whose JSON carries the product data
+const API_RESPONSE_REGEX = /zeptonow\.com\/api\/.*(search|store-products|catalogue|listing|layout|widget)/i;
+const ZEPTO_IMAGE_CDN = 'https://cdn.zeptonow.com/production/';
+
+
+// ==================== EXTRACTION ====================
+
+/**
+ * Walks an API payload and normalizes every product it finds.
+ * Items look like `{ product, productVariant, mrp, sellingPrice, ... }`, often
+ * wrapped in `productResponse`; amounts are in paise.
+ */
+export function parseApiProducts(payload) {
+    const products = [];
+
+    const walk = (node, storeId, depth) => {
+        if (!node || typeof node !== 'object' || depth > 25) return;
+        if (Array.isArray(node)) {
+            node.forEach(child => walk(child, storeId, depth + 1));
+            return;
+        }
+
+        const nearestStoreId = node.storeId || node.store_id || storeId;
+        if (node.product && node.productVariant) {
+            products.push(normalizeApiProduct(node, nearestStoreId));
+            return;
+        }
+        Object.values(node).forEach(child => walk(child, nearestStoreId, depth + 1));
+    };
+
+    walk(payload, null, 0);
+    return products.filter(product => product.productId);
+}
+
+const toRupees = (paise) => (typeof paise === 'number' ? paise / 100 : null);
+
+/**
+ * The sibling pack sizes an item lists, as `{ productVariant, mrp, sellingPrice, ... }`
+ * entries or bare variants carrying their own prices.
+ */
+function normalizeApiVariants(item, slug) {
+    const siblings = item.variants || item.productVariants || item.product.productVariants || [];
+    return siblings.map(entry => {
+        const variant = entry.productVariant || entry;
+        const available = entry.availableQuantity ?? variant.availableQuantity;
+        return {
+            productVariantId: variant.id || null,
+            productWeight: variant.formattedPacksize || variant.packsize || null,
+            currentPrice: toRupees(entry.discountedSellingPrice ?? entry.sellingPrice ?? variant.discountedSellingPrice ?? variant.sellingPrice),
+            originalPrice: toRupees(entry.mrp ?? variant.mrp),
+            isOutOfStock: Boolean(entry.outOfStock ?? variant.outOfStock ?? (available === 0)),
+            productUrl: variant.id && slug ? `https://www.zepto.com/pn/${slug}/pvid/${variant.id}` : null
+        };
+    }).filter(variant => variant.productVariantId);
+}
+
+function normalizeApiProduct(item, storeId) {
+    const { product, productVariant: variant } = item;
+
+    const currentPrice = toRupees(item.discountedSellingPrice ?? item.sellingPrice ?? variant.sellingPrice);
+    const originalPrice = toRupees(item.mrp ?? variant.mrp);
+    const discountPercentage = item.discountPercent ?? (currentPrice && originalPrice && originalPrice > currentPrice
+        ? Math.round(((originalPrice - currentPrice) / originalPrice) * 100)
+        : null);
+
+    const slug = (product.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const imagePath = variant.images?.[0]?.path || product.images?.[0]?.path;
+    const variants = normalizeApiVariants(item, slug);
+    const offerTexts = (item.offers || item.offerTags || [])
+        .map(offer => (typeof offer === 'string' ? offer : offer?.text || offer?.title || null))
+        .filter(Boolean);
+
+    return {
+        productId: variant.id || product.id || null,
+        productSlug: slug || null,
+        productName: product.name || null,
+        productImage: imagePath ? new URL(imagePath, ZEPTO_IMAGE_CDN).href : null,
+        currentPrice,
+        originalPrice,
+        discountPercentage,
+        productWeight: variant.formattedPacksize || variant.packsize || null,
+        rating: variant.ratingSummary?.averageRating ?? product.ratingSummary?.averageRating ?? null,
+        isSponsored: Boolean(item.campaignId || item.adId || item.isSponsored || item.sponsored),
+        isOutOfStock: Boolean(item.outOfStock ?? (item.availableQuantity === 0)),
+        productUrl: variant.id && slug ? `https://www.zepto.com/pn/${slug}/pvid/${variant.id}` : null,
+        parentProductId: product.id || null,
+        productVariantId: variant.id || null,
+        brand: product.brand || null,
+        inventory: item.availableQuantity ?? null,
+        membershipPrice: toRupees(item.superSaverSellingPrice ?? item.passSellingPrice ?? item.membershipSellingPrice),
+        maxOrderQuantity: item.maxAllowedQuantity ?? variant.maxAllowedQuantity ?? null,
+        storeId: storeId || item.storeId || null,
+        source: 'api',
+        ...(variants.length > 1 && { variants }),
+        ...(offerTexts.length > 0 && { offerTexts }),
+        scrapedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Extracts the product detail page: JSON-LD first, then the labelled
+ * sections (highlights, ingredients, shelf life, manufacturer...) from the DOM.
+ */
+export async function extractProductDetail(page) {
+    await page.waitForSelector(SELECTORS.detailName.join(', '), { timeout: 15000 }).catch(() => {});
+    await delay(1000);
+    await installPageHelpers(page);
+
+    return page.evaluate((selectors) => {
+        const { textOrNull, parsePrice, imageUrlOf, offerTexts } = window.__scraperHelpers;
+
+        // Structured data, when the page ships it; a ProductGroup lists the pack sizes
+        let ld = null;
+        let group = null;
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                const data = JSON.parse(script.textContent || 'null');
+                const items = Array.isArray(data) ? data : (data?.['@graph'] || [data]);
+                ld = items.find(item => item?.['@type'] === 'Product') || ld;
+                group = items.find(item => item?.['@type'] === 'ProductGroup') || group;
+            } catch (e) {
+                // Ignore malformed blocks
+            }
+        }
+
+        // Label -> value pairs from the detail sections
+        const attributes = {};
+        document.querySelectorAll(selectors.detailLabel).forEach(labelEl => {
+            const label = textOrNull(labelEl);
+            if (!label || label.length > 60 || attributes[label]) return;
+
+            let value = textOrNull(labelEl.nextElementSibling);
+            if (!value && labelEl.parentElement) {
+                const parentText = textOrNull(labelEl.parentElement);
+                value = parentText && parentText !== label ? parentText.replace(label, '').trim() : null;
+            }
+            if (value && value.length < 5000) {
+                attributes[label.replace(/[:\s]+$/, '')] = value;
+            }
+        });
+
+        // Nutrition facts are usually rendered as a table
+        let nutritionTable = null;
+        for (const table of document.querySelectorAll(selectors.detailTable)) {
+            const rows = {};
+            table.querySelectorAll('tr').forEach(tr => {
+                const cells = Array.from(tr.querySelectorAll('th, td')).map(textOrNull);
+                if (cells.length >= 2 && cells[0]) rows[cells[0]] = cells.slice(1).join(' | ');
+            });
+            if (Object.keys(rows).length > 0) {
+                nutritionTable = rows;
+                break;
+            }
+        }
+
+        // Gallery images, lazy ones included
+        const images = new Set();
+        const ldImages = Array.isArray(ld?.image) ? ld.image : (ld?.image ? [ld.image] : []);
+        ldImages.forEach(src => images.add(src));
+        for (const sel of selectors.detailImage) {
+            document.querySelectorAll(sel).forEach(img => {
+                const src = imageUrlOf(img);
+                if (src) images.add(src);
+            });
+        }
+
+        let productName = ld?.name || null;
+        for (const sel of selectors.detailName) {
+            if (productName) break;
+            productName = textOrNull(document.querySelector(sel));
+        }
+
+        const offer = Array.isArray(ld?.offers) ? ld.offers[0] : ld?.offers;
+
+        // Pack sizes: the ProductGroup's variants, then picker options it missed
+        const variants = new Map();
+        for (const variant of group?.hasVariant || []) {
+            const variantOffer = Array.isArray(variant.offers) ? variant.offers[0] : variant.offers;
+            const productVariantId = variant.sku || variant.productID || variant.url?.match(/\/pvid\/([^/?#]+)/)?.[1];
+            if (!productVariantId) continue;
+            variants.set(productVariantId, {
+                productVariantId,
+                productWeight: variant.size || null,
+                currentPrice: variantOffer?.price ? parseFloat(variantOffer.price) : null,
+                originalPrice: null,
+                isOutOfStock: variantOffer?.availability ? !String(variantOffer.availability).endsWith('InStock') : false,
+                productUrl: variant.url || null
+            });
+        }
+        for (const sel of selectors.variantOption) {
+            const options = Array.from(document.querySelectorAll(sel));
+            options.forEach(option => {
+                const productVariantId = option.getAttribute('data-variant-id');
+                if (!productVariantId || variants.has(productVariantId)) return;
+                const prices = Array.from(option.querySelectorAll('span')).map(parsePrice).filter(price => price !== null);
+                variants.set(productVariantId, {
+                    productVariantId,
+                    productWeight: option.getAttribute('data-pack-size') || null,
+                    currentPrice: prices[0] ?? null,
+                    originalPrice: prices[1] ?? null,
+                    isOutOfStock: option.getAttribute('data-is-out-of-stock') === 'true' || option.disabled === true,
+                    productUrl: null
+                });
+            });
+            if (options.length > 0) break;
+        }
+
+        return {
+            productName,
+            brand: (typeof ld?.brand === 'string' ? ld.brand : ld?.brand?.name) || null,
+            description: ld?.description || null,
+            images: Array.from(images),
+            currentPrice: offer?.price ? parseFloat(offer.price) : null,
+            availability: offer?.availability ? String(offer.availability).split('/').pop() : null,
+            attributes,
+            nutritionTable,
+            parentProductId: group?.productGroupID || null,
+            variants: Array.from(variants.values()),
+            offerTexts: offerTexts(document, selectors)
+        };
+    }, SELECTORS);
+}
+
+/**
+ * Reads only what monitoring needs from a product page: price, MRP, stock, the
+ * delivery time in the header and the promotion badges. JSON-LD wins over the DOM when present.
+ */
+export async function extractProductOffer(page) {
+    await page.waitForSelector(SELECTORS.detailName.join(', '), { timeout: 15000 }).catch(() => {});
+    await installPageHelpers(page);
+
+    return page.evaluate((selectors) => {
+        const { textOrNull, parsePrice, offerTexts } = window.__scraperHelpers;
+
+        function first(chain, accept = Boolean) {
+            for (const sel of chain) {
+                const found = Array.from(document.querySelectorAll(sel)).find(accept);
+                if (found) return found;
+            }
+            return null;
+        }
+
+        let offer = null;
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                const data = JSON.parse(script.textContent || 'null');
+                const items = Array.isArray(data) ? data : (data?.['@graph'] || [data]);
+                const product = items.find(item => item?.['@type'] === 'Product');
+                if (product) offer = { name: product.name, ...(Array.isArray(product.offers) ? product.offers[0] : product.offers) };
+            } catch (e) {
+                // Ignore malformed blocks
+            }
+        }
+
+        const availability = offer?.availability ? String(offer.availability).split('/').pop() : null;
+        const domPrice = parsePrice(first(selectors.detailPrice, el => parsePrice(el) !== null));
+
+        return {
+            productName: offer?.name || textOrNull(first(selectors.detailName, textOrNull)),
+            currentPrice: offer?.price ? parseFloat(offer.price) : domPrice,
+            originalPrice: parsePrice(first(selectors.detailMrp, el => parsePrice(el) !== null)),
+            isOutOfStock: availability ? availability !== 'InStock' : Boolean(first(selectors.detailNotifyMe)),
+            deliveryTime: textOrNull(first(selectors.deliveryTime, textOrNull)),
+            offerTexts: offerTexts(document, selectors)
+        };
+    }, SELECTORS);
+}
+
+/**
+ * Reads what the page says about the current location: the delivery ETA, a
+ * "not serviceable" notice, a store closed/opening message and the fee banners
+ * (surge, small cart...). Banners missing their selectors are looked up by
+ * their wording in the page text.
+ */
+export async function extractServiceability(page) {
+    await page.waitForLoadState('domcontentloaded');
+    await delay(1000);
+    await installPageHelpers(page);
+
+    return page.evaluate((selectors) => {
+        const { textsOf } = window.__scraperHelpers;
+        const all = chain => textsOf(document, chain);
+
+        // Short lines of page text, for banners without a known selector
+        const lines = (document.body?.innerText || '').split('\n').map(line => line.trim()).filter(line => line && line.length < 160);
+        const lineMatching = pattern => lines.find(line => pattern.test(line)) || null;
+
+        const feeTexts = all(selectors.feeBanner);
+        return {
+            etaText: all(selectors.deliveryTime)[0] || null,
+            unserviceableText: all(selectors.unserviceableBanner)[0]
+                || lineMatching(/not (?:yet )?serviceable|(?:don't|do not|doesn't|does not) deliver|coming soon to your (?:area|location)/i),
+            storeStatusText: all(selectors.storeStatusBanner)[0]
+                || lineMatching(/store (?:is )?(?:currently )?closed|(?:opens|opening|back) (?:at|by|tomorrow)/i),
+            feeTexts: feeTexts.length > 0
+                ? feeTexts
+                : lines.filter(line => /(?:surge|small[- ]cart|late[- ]night|rain|high demand) (?:fee|charge)/i.test(line))
+        };
+    }, SELECTORS);
+}
+
+/**
+ * Collects every category listing link on the page, parsed into ids and slugs.
+ * `fromImage` marks tiles named only by their image alt text, which on Zepto
+ * carry the category name while text links carry subcategory names.
+ */
+export async function extractCategoryLinks(page) {
+    const links = await page.evaluate((selector) => {
+        return Array.from(document.querySelectorAll(selector)).map(a => {
+            const text = (a.innerText || a.getAttribute('aria-label') || '').trim();
+            return {
+                href: a.href,
+                name: text || (a.querySelector('img')?.alt || '').trim(),
+                fromImage: !text
+            };
+        });
+    }, SELECTORS.categoryLink);
+
+    const unique = new Map();
+    for (const { href, name, fromImage } of links) {
+        const match = href.match(CATEGORY_URL_REGEX);
+        if (!match) continue;
+
+        const [, categorySlug, subcategorySlug, cid, scid] = match;
+        const key = `${scid}|${fromImage}`;
+        if (unique.has(key)) continue;
+
+        unique.set(key, {
+            categorySlug,
+            subcategorySlug,
+            cid,
+            scid,
+            name: name.split('\n')[0] || null,
+            fromImage,
+            url: new URL(match[0], HOME_URL).href
+        });
+    }
+    return Array.from(unique.values());
+}
+
+/**
+ * Extracts the product cards of a search or category listing page.
+ * `selectorHits` counts, per field, which selector of its chain matched.
+ */
+export async function extractListing(page) {
+    await installPageHelpers(page);
+
+    return page.evaluate((selectors) => {
+        const { textOrNull, parsePrice, imageUrlOf, offerTexts } = window.__scraperHelpers;
+        const productCards = [];
+        const selectorHits = {};
+
+        function hit(field, selector) {
+            selectorHits[field] ??= {};
+            selectorHits[field][selector] = (selectorHits[field][selector] || 0) + 1;
+        }
+
+        // First element matched by the field's chain that passes `accept`
+        function queryChain(root, field, accept = () => true) {
+            for (const sel of selectors[field]) {
+                const el = Array.from(root.querySelectorAll(sel)).find(accept);
+                if (el) {
+                    hit(field, sel);
+                    return el;
+                }
+            }
+            return null;
+        }
+
+        // Position on the page, for rank/grid placement, and when the card loaded (see autoScroll)
+        function layoutOf(el) {
+            const rect = el.getBoundingClientRect();
+            const loadedAtScroll = el.getAttribute('data-loaded-at-scroll');
+            return {
+                top: rect.width || rect.height ? Math.round(rect.top + window.scrollY) : null,
+                left: rect.width || rect.height ? Math.round(rect.left + window.scrollX) : null,
+                loadedAtScroll: loadedAtScroll === null ? null : Number(loadedAtScroll),
+                scrollDepth: loadedAtScroll === null ? null : Number(el.getAttribute('data-scroll-depth'))
+            };
+        }
+
+        // Options of a card's pack-size picker; not counted in selectorHits
+        function variantsOf(root) {
+            const firstOf = (el, chain, accept) => {
+                for (const sel of chain) {
+                    const found = Array.from(el.querySelectorAll(sel)).find(accept);
+                    if (found) return found;
+                }
+                return null;
+            };
+            const withPrice = el => parsePrice(el) !== null;
+
+            for (const sel of selectors.variantOption) {
+                const options = Array.from(root.querySelectorAll(sel));
+                if (options.length === 0) continue;
+                return options.map(option => {
+                    const href = option.href || option.querySelector('a[href*="/pvid/"]')?.href || null;
+                    const mrpEl = firstOf(option, selectors.originalPrice, withPrice);
+                    return {
+                        productVariantId: option.getAttribute('data-variant-id') || href?.match(/\/pvid\/([^/?#]+)/)?.[1] || null,
+                        productWeight: option.getAttribute('data-pack-size') || textOrNull(firstOf(option, selectors.packSize, textOrNull)),
+                        currentPrice: parsePrice(firstOf(option, selectors.price, el => withPrice(el) && el !== mrpEl)),
+                        originalPrice: parsePrice(mrpEl),
+                        isOutOfStock: option.getAttribute('data-is-out-of-stock') === 'true' || option.disabled === true
+                            || option.getAttribute('aria-disabled') === 'true',
+                        productUrl: href
+                    };
+                }).filter(variant => variant.productVariantId);
+            }
+            return [];
+        }
+
+        let productLinks = [];
+        for (const sel of selectors.productLink) {
+            productLinks = Array.from(document.querySelectorAll(sel));
+            if (productLinks.length > 0) {
+                selectorHits.productLink = { [sel]: productLinks.length };
+                break;
+            }
+        }
+
+        const deliveryTime = textOrNull(queryChain(document, 'deliveryTime'));
+
+        productLinks.forEach((link, index) => {
+            try {
+                const productUrl = link.href;
+                const urlMatch = productUrl.match(/\/pn\/([^/]+)\/pvid\/([^/]+)/) ||
+                               productUrl.match(/\/(?:p|product)\/([^/]+)\/([^/]+)/);
+                const productSlug = urlMatch?.[1] || null;
+                const productId = urlMatch?.[2] || `zepto-${index}`;
+
+                const card = queryChain(link, 'productCard') || link;
+
+                // Name extraction
+                let productName = textOrNull(queryChain(card, 'productName', el => textOrNull(el)));
+                if (!productName) {
+                    productName = link.getAttribute('title') ||
+                                link.querySelector('img')?.alt || null;
+                    if (productName) hit('productName', '(title/alt fallback)');
+                }
+
+                // Image
+                const productImage = imageUrlOf(queryChain(card, 'productImage'));
+
+                // The displayed variant's fields, not those of the picker's options
+                const outsidePicker = el => !selectors.variantOption.some(sel => el.closest(sel));
+
+                // Price
+                const currentPrice = parsePrice(queryChain(card, 'price', el => parsePrice(el) !== null && outsidePicker(el)));
+
+                // Original price
+                const originalPrice = parsePrice(queryChain(card, 'originalPrice', el => parsePrice(el) !== null && outsidePicker(el)));
+
+                // Discount
+                let discountPercentage = null;
+                if (currentPrice && originalPrice && originalPrice > currentPrice) {
+                    discountPercentage = Math.round(((originalPrice - currentPrice) / originalPrice) * 100);
+                }
+
+                // Pack size
+                const productWeight = textOrNull(queryChain(card, 'packSize', el => textOrNull(el) && outsidePicker(el)));
+
+                // Rating
+                let rating = null;
+                const ratingEl = queryChain(card, 'rating');
+                if (ratingEl) {
+                    const match = (ratingEl.textContent || '').match(/(\d+\.\d+)/);
+                    if (match) rating = parseFloat(match[1]);
+                }
+
+                const isSponsored = !!queryChain(card, 'sponsorTag');
+                const isOutOfStock = card.getAttribute?.('data-is-out-of-stock') === 'true';
+                const variants = variantsOf(card);
+                const badges = offerTexts(card, selectors, sel => hit('offerBadge', sel));
+
+                if (productName || currentPrice || productImage) {
+                    productCards.push({
+                        productId,
+                        productSlug,
+                        productName,
+                        productImage,
+                        currentPrice,
+                        originalPrice,
+                        discountPercentage,
+                        productWeight,
+                        rating,
+                        isSponsored,
+                        isOutOfStock,
+                        productUrl,
+                        ...(variants.length > 1 && { variants }),
+                        ...(badges.length > 0 && { offerTexts: badges }),
+                        layout: layoutOf(link),
+                        scrapedAt: new Date().toISOString()
+                    });
+                }
+            } catch (err) {
+                // console.error(`Error processing product ${index}:`, err);
+            }
+        });
+
+        return { products: productCards, deliveryTime, selectorHits };
+    }, SELECTORS);
+}
+
+// ==================== ADAPTER ====================
+
+export const zeptoAdapter = {
+    name: 'zepto',
+    displayName: 'Zepto',
+    homeUrl: HOME_URL,
+    selectors: SELECTORS,
+    productSelector: SELECTORS.productLink.join(', '),
+    endOfResultsSelector: SELECTORS.endOfResults.join(', '),
+    monitoredFields: ['productName', 'productImage', 'currentPrice', 'productWeight'],
+    productUrlRegex: PRODUCT_URL_REGEX,
+    categorySelector: SELECTORS.categoryLink,
+    apiResponseRegex: API_RESPONSE_REGEX,
+
+    matchesUrl: (url) => /(^|\.)zepto(now)?\.com$/.test(new URL(url).hostname),
+    buildSearchUrl: (query) => `${HOME_URL}search?query=${encodeURIComponent(query)}`,
+    // The slug is cosmetic, product pages resolve by their pvid
+    buildProductUrl: (productId) => `${HOME_URL}pn/product/pvid/${encodeURIComponent(productId)}`,
+    getSearchQuery: (url) => new URL(url).searchParams.get('query'),
+    isListingUrl: (url) => {
+        const { pathname, searchParams } = new URL(url);
+        return (pathname === '/search' && Boolean(searchParams.get('query'))) || CATEGORY_URL_REGEX.test(pathname);
+    },
+
+    setLocation: (page, log, targetPincode) => setPincode(page, log, SELECTORS, targetPincode),
+    extractListing,
+    parseApiProducts,
+    extractProductDetail,
+    extractProductOffer,
+    extractServiceability,
+    extractCategoryLinks,
+};
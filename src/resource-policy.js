@@ -0,0 +1,115 @@
+import { CAPTURE_MODES } from './forensics.js';
+
+export const RESOURCE_ACTIONS = {
+    ALLOW: 'allow',
+    BLOCK: 'block', // Aborted, nothing is downloaded
+    STUB: 'stub', // Answered locally: a 1x1 GIF for images, an empty body otherwise
+};
+
+export const RESOURCE_KINDS = ['image', 'media', 'font', 'tracker'];
+
+// Listing and category pages, product and monitoring pages, and pages whose screenshots are kept
+export const POLICY_MODES = {
+    LISTING: 'listing',
+    DETAIL: 'detail',
+    EVIDENCE: 'evidence',
+};
+
+/**
+ * What each mode does with each kind of resource. Images are stubbed rather than
+ * blocked so lazy loaders see them load and leave the real URL in `src`.
+ * Stylesheets are never touched: card positions depend on the layout.
+ */
+export const DEFAULT_RESOURCE_POLICY = {
+    [POLICY_MODES.LISTING]: { image: 'stub', media: 'block', font: 'block', tracker: 'block' },
+    [POLICY_MODES.DETAIL]: { image: 'stub', media: 'block', font: 'block', tracker: 'block' },
+    [POLICY_MODES.EVIDENCE]: { image: 'allow', media: 'block', font: 'allow', tracker: 'block' },
+};
+
+// Analytics, ads and attribution hosts; subdomains match too
+export const TRACKER_DOMAINS = [
+    'google-analytics.com', 'googletagmanager.com', 'doubleclick.net', 'googlesyndication.com', 'googleadservices.com',
+    'facebook.net', 'hotjar.com', 'clarity.ms', 'segment.io', 'segment.com', 'mixpanel.com',
+    'amplitude.com', 'branch.io', 'appsflyer.com', 'adjust.com', 'moengage.com', 'clevertap.com',
+    'clevertap-prod.com', 'webengage.com', 'netcoresmartech.com', 'newrelic.com', 'nr-data.net', 'sentry.io',
+    'bugsnag.com', 'criteo.com', 'criteo.net', 'taboola.com', 'outbrain.com', 'scorecardresearch.com'
+];
+
+const TRANSPARENT_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * The policy with the input overrides applied, mode by mode and kind by kind.
+ */
+export function resolveResourcePolicy(overrides = {}) {
+    return Object.fromEntries(Object.entries(DEFAULT_RESOURCE_POLICY)
+        .map(([mode, actions]) => [mode, { ...actions, ...overrides[mode] }]));
+}
+
+/**
+ * The kind of resource a request fetches, or null for everything the policy
+ * leaves alone (documents, scripts, styles, XHR). Tracker hosts win over the type.
+ */
+export function classifyRequest(resourceType, url) {
+    let hostname = '';
+    try {
+        hostname = new URL(url).hostname;
+    } catch (e) {
+        return null;
+    }
+    if (TRACKER_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) return 'tracker';
+    return ['image', 'media', 'font'].includes(resourceType) ? resourceType : null;
+}
+
+/**
+ * Applies the resource policy to crawler pages and counts what it saved.
+ * `attach(page, { mode, retryCount })` routes the page's requests through the
+ * mode's actions. Pages that may end up as evidence use the `evidence` mode
+ * instead: every page when `captureArtifacts` is `always`, and retries (whose
+ * failure would be captured) unless it is `never`.
+ */
+export function createResourcePolicy({ policy = {}, captureArtifacts = CAPTURE_MODES.ON_FAILURE, log }) {
+    const actionsByMode = resolveResourcePolicy(policy);
+    const counts = {};
+
+    function modeFor(mode, retryCount) {
+        if (captureArtifacts === CAPTURE_MODES.ALWAYS || (captureArtifacts !== CAPTURE_MODES.NEVER && retryCount > 0)) {
+            return POLICY_MODES.EVIDENCE;
+        }
+        return mode;
+    }
+
+    async function attach(page, { mode = POLICY_MODES.LISTING, retryCount = 0 } = {}) {
+        const actions = actionsByMode[modeFor(mode, retryCount)];
+        if (!Object.values(actions).some(action => action !== RESOURCE_ACTIONS.ALLOW)) return;
+
+        await page.route('**/*', async (route) => {
+            const request = route.request();
+            const kind = classifyRequest(request.resourceType(), request.url());
+            const action = kind ? actions[kind] : RESOURCE_ACTIONS.ALLOW;
+
+            // Hand allowed requests on to any route handler registered before this one
+            if (action === RESOURCE_ACTIONS.ALLOW) return route.fallback();
+
+            counts[kind] ??= { blocked: 0, stubbed: 0 };
+            if (action === RESOURCE_ACTIONS.BLOCK) {
+                counts[kind].blocked++;
+                return route.abort('blockedbyclient');
+            }
+            counts[kind].stubbed++;
+            return kind === 'image'
+                ? route.fulfill({ status: 200, contentType: 'image/gif', body: TRANSPARENT_GIF })
+                : route.fulfill({ status: 200, body: '' });
+        });
+    }
+
+    /**
+     * Logs and returns the per-kind counts of blocked and stubbed requests.
+     */
+    function finish() {
+        const parts = Object.entries(counts).map(([kind, { blocked, stubbed }]) => `${blocked + stubbed} ${kind}`);
+        if (parts.length > 0) log.info(`🚫 Resource policy kept ${parts.join(', ')} request(s) off the network`);
+        return counts;
+    }
+
+    return { attach, finish };
+}
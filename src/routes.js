@@ -0,0 +1,563 @@
+import { Actor } from 'apify';
+import { Dataset, createPlaywrightRouter } from 'crawlee';
+import { mergeListingProducts, resetApiCapture, takeApiProducts } from './api-capture.js';
+import { createBrandResolver } from './brands.js';
+import { ensureSessionLocation } from './location.js';
+import { MONITOR_DATASET_NAME, delistedReason, toMonitorRecord } from './monitor.js';
+import { offerFields } from './offers.js';
+import { packSizeFields } from './pack-size.js';
+import { assignPlacement } from './placement.js';
+import { getPlatform } from './platforms/index.js';
+import { SCROLL_STOP_REASONS, autoScroll, waitForSearchResults } from './scroll.js';
+import { SERVICEABILITY_DATASET_NAME, toServiceabilityRecord } from './serviceability.js';
+import { delay, humanizeSlug } from './utils.js';
+import { VARIANTS_DATASET_NAME, expandVariants } from './variants.js';
+
+export const LABELS = {
+    LISTING: 'LISTING',
+    DETAIL: 'DETAIL',
+    CATEGORY_HOME: 'CATEGORY_HOME',
+    CATEGORY: 'CATEGORY',
+    MONITOR: 'MONITOR',
+    SERVICEABILITY: 'SERVICEABILITY',
+};
+
+// `searchQuery` of direct `searchUrls` that carry no `?query`, e.g. category pages
+export const DIRECT_URL_QUERY = 'direct_url';
+
+export const DETAILS_DATASET_NAME = 'product-details';
+
+/**
+ * Maps the free-form detail labels onto named record fields.
+ */
+export function mapDetailAttributes(attributes) {
+    const FIELD_PATTERNS = {
+        brand: /^brand$/i,
+        description: /^(product )?description$|^about( the| this)? product$/i,
+        highlights: /^(key features?|highlights?|product highlights)$/i,
+        ingredients: /^ingredients?$/i,
+        nutrition: /^nutrition(al)? (information|info|facts|value)/i,
+        shelfLife: /^shelf life$/i,
+        countryOfOrigin: /^country of origin$/i,
+        manufacturerDetails: /^manufacture(r|d by)( details| name| address)?$/i,
+        marketerDetails: /^market(er|ed by)( details| name| address)?$/i,
+        sellerInfo: /^(seller( name| details)?|sold by)$/i,
+    };
+
+    const fields = {};
+    for (const [label, value] of Object.entries(attributes)) {
+        for (const [field, pattern] of Object.entries(FIELD_PATTERNS)) {
+            if (!fields[field] && pattern.test(label.trim())) {
+                fields[field] = value;
+            }
+        }
+    }
+
+    if (fields.highlights) {
+        fields.highlights = fields.highlights.split(/\n+|•/).map(h => h.trim()).filter(Boolean);
+    }
+    return fields;
+}
+
+/**
+ * Checks a category against the `categories` input by its normalized name or
+ * slug: the whole name, or whole words of it ("Dairy" matches "Dairy, Bread & Eggs",
+ * "Cold Drinks" does not match "Cold Cuts").
+ */
+export function isWantedCategory(categories, name, slug) {
+    if (categories.includes('*')) return true;
+
+    const simplify = (value) => (value || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+    const candidates = [simplify(name), simplify(humanizeSlug(slug))].filter(Boolean);
+
+    return categories.some(wanted => {
+        const target = simplify(wanted);
+        if (!target) return false;
+        return candidates.some(candidate => ` ${candidate} `.includes(` ${target} `));
+    });
+}
+
+const categoryTreeKey = (adapter, targetPincode) => `CATEGORY_TREE-${adapter.name}-${targetPincode}`;
+
+/**
+ * The category tree of a platform and pincode saved by an earlier request, keyed by cid.
+ */
+async function loadCategoryTree(adapter, targetPincode) {
+    const saved = await Actor.getValue(categoryTreeKey(adapter, targetPincode));
+    return Object.fromEntries((saved?.categories || []).map(category => [category.cid, category]));
+}
+
+/**
+ * Writes the discovered category tree of a platform and pincode to the key-value store.
+ */
+async function saveCategoryTree(adapter, targetPincode, tree) {
+    await Actor.setValue(categoryTreeKey(adapter, targetPincode), {
+        platform: adapter.displayName,
+        pincode: targetPincode,
+        discoveredAt: new Date().toISOString(),
+        categories: Object.values(tree)
+    });
+}
+
+/**
+ * Builds the router shared by every platform: each request names its adapter
+ * in `userData.platform` and its target pincode in `userData.pincode`.
+ * Saved listings are passed to `changeTracker` when change detection is on,
+ * the DOM extraction of every listing to `selectorHealth`, listings that
+ * end with too few products to `forensics` (an empty one fails its request),
+ * and saved records to `summary`.
+ * `brandResolver` fills the brand of every listing and detail record. With a
+ * `catalog` the rows go to it instead of the default dataset, for de-duplication.
+ * Saved rows are also checked against the `watchlist`. Listing, detail and
+ * monitoring records carry `runId`, which scopes the exports to this run.
+ * Product pages are fetched once per run, or once per pincode with `productDetailsPerPincode`.
+ * `maxRequestRetries` mirrors the crawler's setting, so a serviceability
+ * check knows when it is on its last attempt.
+ */
+export function createRouter({
+    runId = null,
+    maxProductsPerSearch,
+    scrollCount,
+    scrapeProductDetails,
+    productDetailsPerPincode = false,
+    categories,
+    changeTracker = null,
+    selectorHealth = null,
+    forensics = null,
+    summary = null,
+    catalog = null,
+    watchlist = null,
+    brandResolver = createBrandResolver(),
+    maxRequestRetries = 3
+}) {
+    const router = createPlaywrightRouter();
+
+    // Discovered category -> subcategory trees, per platform and pincode; reloaded from the store after a migration or resume
+    const categoryTrees = {};
+    const categoryTreeOf = (adapter, targetPincode) => {
+        categoryTrees[`${adapter.name}|${targetPincode}`] ??= loadCategoryTree(adapter, targetPincode);
+        return categoryTrees[`${adapter.name}|${targetPincode}`];
+    };
+
+    router.addHandler(LABELS.LISTING, async ({ page, request, session, log, addRequests }) => {
+        const { url } = request;
+        const adapter = getPlatform(request.userData.platform);
+        const targetPincode = request.userData.pincode;
+
+        log.info(`🔍 Processing ${adapter.displayName}: ${url} (pincode ${targetPincode})`);
+
+        const MAX_RETRIES = 3;
+        const MIN_PRODUCTS = 5;
+        let attemptNumber = 0;
+        let products = [];
+        let deliveryTime = null;
+        let extractedData = null;
+        let scroll = null;
+
+        // The reloads below already retried it: fail the request outright, so it is captured and listed in FAILED_URLS
+        const emptyListingError = (message) => {
+            request.noRetry = true;
+            return new Error(message);
+        };
+
+        try {
+            // Bind the request to a session located at its pincode
+            const resolvedLocality = await ensureSessionLocation(page, session, log, adapter, targetPincode);
+
+            await page.waitForLoadState('domcontentloaded');
+            await delay(1000);
+
+            // Close popups
+            try {
+                const closeButton = page.locator('button[aria-label*="Close"]').first();
+                if (await closeButton.count() > 0) {
+                    await closeButton.click({ timeout: 1500 });
+                    await delay(500);
+                }
+            } catch (e) {
+                // No popup
+            }
+
+            // RETRY LOOP: Try up to 3 times if we get < 5 products
+            while (attemptNumber < MAX_RETRIES) {
+                attemptNumber++;
+                log.info(`📊 Attempt ${attemptNumber}/${MAX_RETRIES} to scrape products...`);
+
+                const resultsFound = await waitForSearchResults(page, log, adapter.productSelector);
+
+                if (!resultsFound) {
+                    log.warning(`⚠️ No search results detected on attempt ${attemptNumber}`);
+                    if (attemptNumber < MAX_RETRIES) {
+                        log.info('🔄 Reloading page and retrying...');
+                        resetApiCapture(page);
+                        await page.reload({ waitUntil: 'domcontentloaded' });
+                        await delay(2000);
+                        continue;
+                    } else {
+                        selectorHealth?.recordListing(adapter, { products: [] });
+                        throw emptyListingError('No search results detected after all retries');
+                    }
+                }
+
+                // Ranks need every card up to the cut, nothing past it
+                scroll = await autoScroll(page, log, adapter.productSelector, scrollCount, {
+                    targetCount: maxProductsPerSearch,
+                    endOfResultsSelector: adapter.endOfResultsSelector,
+                    listingRequestRegex: adapter.apiResponseRegex
+                });
+
+                // Extract Data
+                extractedData = await adapter.extractListing(page);
+
+                // Prefer the API payloads, the DOM cards are the fallback
+                const apiProducts = takeApiProducts(page);
+                products = mergeListingProducts(apiProducts, extractedData.products);
+                deliveryTime = extractedData.deliveryTime;
+
+                const fromApi = products.filter(product => product.source === 'api').length;
+                log.info(`📦 Extracted ${products.length} products on attempt ${attemptNumber} (${fromApi} from API, ${products.length - fromApi} from DOM)`);
+
+                // Check if we have enough products
+                if (products.length >= MIN_PRODUCTS) {
+                    log.info(`✅ Success! Found ${products.length} products (>= ${MIN_PRODUCTS})`);
+                    break; // Exit retry loop
+                } else {
+                    log.warning(`⚠️ Only found ${products.length} products (< ${MIN_PRODUCTS})`);
+                    if (attemptNumber < MAX_RETRIES) {
+                        log.info('🔄 Reloading page and retrying...');
+                        resetApiCapture(page);
+                        await page.reload({ waitUntil: 'domcontentloaded' });
+                        await delay(2000);
+                        // Continue to next iteration
+                    } else {
+                        log.warning(`⚠️ Max retries reached. Proceeding with ${products.length} products.`);
+                    }
+                }
+            }
+
+            selectorHealth?.recordListing(adapter, extractedData);
+            if (products.length === 0) {
+                throw emptyListingError('No products extracted after all retries');
+            }
+            if (products.length < MIN_PRODUCTS) {
+                await forensics?.onLowProducts(page, request, products.length);
+            }
+
+            const searchQuery = adapter.getSearchQuery(url) || request.userData.query;
+            const categoryPath = request.userData.categoryPath || null;
+
+            // Ranks are taken over the whole listing, before truncation; the variants of a card share its placement
+            const productsToSave = assignPlacement(products).slice(0, maxProductsPerSearch).flatMap(expandVariants).map(({ offerTexts, ...product }) => ({
+                ...product,
+                ...packSizeFields(product),
+                ...offerFields(product, offerTexts),
+                ...brandResolver.resolve(product),
+                deliveryTime,
+                searchQuery,
+                searchUrl: url,
+                categoryPath,
+                category: categoryPath ? categoryPath.join(' > ') : null,
+                platform: adapter.displayName,
+                pincode: targetPincode,
+                resolvedLocality,
+                runId
+            }));
+
+            if (catalog) {
+                await catalog.addListing(productsToSave);
+            } else {
+                await Dataset.pushData(productsToSave);
+            }
+            summary?.addListing(productsToSave, products.length, scroll);
+            await watchlist?.checkListing(productsToSave);
+
+            if (changeTracker) {
+                // Only a listing scrolled to its end and saved uncut can tell which products are gone
+                const scrolledToEnd = [SCROLL_STOP_REASONS.END_OF_RESULTS, SCROLL_STOP_REASONS.NO_NEW_PRODUCTS].includes(scroll.reason);
+                await changeTracker.recordListing({
+                    platform: adapter.displayName,
+                    pincode: targetPincode,
+                    searchUrl: url,
+                    products: productsToSave,
+                    complete: scrolledToEnd && products.length <= maxProductsPerSearch
+                });
+            }
+
+            log.info(`✅ Saved ${productsToSave.length} products for "${searchQuery || categoryPath?.join(' > ')}" @ ${targetPincode} (Delivery: ${deliveryTime}, scrolling stopped: ${scroll.reason})`);
+
+            if (scrapeProductDetails && adapter.extractProductDetail) {
+                // uniqueKey per product: a product found by several queries is fetched once per run,
+                // or once per pincode when every location needs its own price and stock
+                const detailScope = productDetailsPerPincode ? `${adapter.name}|${targetPincode}` : adapter.name;
+                const detailRequests = productsToSave
+                    .filter(product => adapter.productUrlRegex.test(product.productUrl || ''))
+                    .map(product => ({
+                        url: product.productUrl,
+                        label: LABELS.DETAIL,
+                        uniqueKey: `${detailScope}|detail|${product.productId}`,
+                        userData: {
+                            platform: adapter.name,
+                            productId: product.productId,
+                            pincode: targetPincode,
+                            query: searchQuery
+                        }
+                    }));
+
+                await addRequests(detailRequests);
+                log.info(`📥 Enqueued ${detailRequests.length} product detail pages`);
+            }
+
+        } catch (error) {
+            log.error(`❌ Error: ${error.message}`);
+            throw error;
+        }
+    });
+
+    router.addHandler(LABELS.DETAIL, async ({ page, request, session, log }) => {
+        const { url } = request;
+        const adapter = getPlatform(request.userData.platform);
+        const targetPincode = request.userData.pincode;
+
+        log.info(`📄 Processing product page: ${url} (pincode ${targetPincode})`);
+
+        const resolvedLocality = await ensureSessionLocation(page, session, log, adapter, targetPincode);
+
+        await page.waitForLoadState('domcontentloaded');
+        const detail = await adapter.extractProductDetail(page);
+        if (!detail.productName && Object.keys(detail.attributes).length === 0) {
+            throw new Error('Product detail page rendered no product information');
+        }
+
+        const urlMatch = url.match(adapter.productUrlRegex);
+        const fields = mapDetailAttributes(detail.attributes);
+
+        const productId = request.userData.productId || urlMatch?.[2] || null;
+        const scrapedAt = new Date().toISOString();
+
+        const detailDataset = await Dataset.open(DETAILS_DATASET_NAME);
+        await detailDataset.pushData({
+            productId,
+            productSlug: urlMatch?.[1] || null,
+            parentProductId: detail.parentProductId || null,
+            productName: detail.productName,
+            ...brandResolver.resolve({ brand: detail.brand || fields.brand, productName: detail.productName }),
+            description: detail.description || fields.description || null,
+            images: detail.images,
+            highlights: fields.highlights || [],
+            ingredients: fields.ingredients || null,
+            nutrition: detail.nutritionTable || fields.nutrition || null,
+            shelfLife: fields.shelfLife || null,
+            countryOfOrigin: fields.countryOfOrigin || null,
+            manufacturerDetails: fields.manufacturerDetails || null,
+            marketerDetails: fields.marketerDetails || null,
+            sellerInfo: fields.sellerInfo || null,
+            currentPrice: detail.currentPrice,
+            availability: detail.availability,
+            ...offerFields({}, detail.offerTexts),
+            attributes: detail.attributes,
+            productUrl: url,
+            foundViaQuery: request.userData.query,
+            platform: adapter.displayName,
+            pincode: targetPincode,
+            resolvedLocality,
+            runId,
+            scrapedAt
+        });
+
+        if (detail.variants?.length > 1) {
+            const variantRows = expandVariants({
+                productId,
+                parentProductId: detail.parentProductId,
+                productName: detail.productName,
+                currentPrice: detail.currentPrice,
+                isOutOfStock: detail.availability ? detail.availability !== 'InStock' : false,
+                productUrl: url,
+                variants: detail.variants
+            }).map(variant => ({
+                ...variant,
+                ...packSizeFields(variant),
+                platform: adapter.displayName,
+                pincode: targetPincode,
+                resolvedLocality,
+                scrapedAt
+            }));
+            await (await Dataset.open(VARIANTS_DATASET_NAME)).pushData(variantRows);
+            log.info(`🧴 Saved ${variantRows.length} pack-size variants of ${detail.productName}`);
+        }
+
+        log.info(`✅ Saved product details: ${detail.productName}`);
+    });
+
+    router.addHandler(LABELS.MONITOR, async ({ page, request, response, session, log }) => {
+        const { url } = request;
+        const adapter = getPlatform(request.userData.platform);
+        const targetPincode = request.userData.pincode;
+        const { productId } = request.userData;
+
+        log.info(`👀 Monitoring ${adapter.displayName} product ${productId} (pincode ${targetPincode})`);
+
+        // Gone products are reported, not retried; their pages have no location picker to trust
+        const saveDelisted = async (reason, resolvedLocality = null) => {
+            log.warning(`🪦 ${adapter.displayName} product ${productId} is delisted @ ${targetPincode}: ${reason}`);
+            await (await Dataset.open(MONITOR_DATASET_NAME)).pushData({ ...toMonitorRecord({ productId, url, adapter, pincode: targetPincode, resolvedLocality, reason }), runId });
+        };
+
+        const statusReason = delistedReason({ status: response?.status(), adapter });
+        if (statusReason) {
+            await saveDelisted(statusReason);
+            return;
+        }
+
+        const resolvedLocality = await ensureSessionLocation(page, session, log, adapter, targetPincode);
+        await page.waitForLoadState('domcontentloaded');
+
+        let offer = null;
+        let reason = null;
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            offer = await adapter.extractProductOffer(page);
+            reason = delistedReason({ finalUrl: page.url(), adapter, offer });
+            if (!reason || attempt === 2) break;
+
+            log.info('🔄 Product page looks empty, reloading once...');
+            await page.reload({ waitUntil: 'domcontentloaded' });
+            await delay(2000);
+        }
+
+        if (reason) {
+            await saveDelisted(reason, resolvedLocality);
+            return;
+        }
+
+        const record = { ...toMonitorRecord({ productId, url, adapter, pincode: targetPincode, resolvedLocality, offer }), runId };
+        await (await Dataset.open(MONITOR_DATASET_NAME)).pushData(record);
+        await watchlist?.checkListing([record]);
+
+        log.info(`✅ ${record.productName}: ₹${record.currentPrice}${record.isOutOfStock ? ' (out of stock)' : ''} @ ${targetPincode}`);
+    });
+
+    router.addHandler(LABELS.SERVICEABILITY, async ({ page, request, session, log }) => {
+        const adapter = getPlatform(request.userData.platform);
+        const targetPincode = request.userData.pincode;
+
+        log.info(`🛵 Checking ${adapter.displayName} serviceability at ${targetPincode}`);
+
+        // An area the site does not serve often fails the location flow; the page still says so
+        let resolvedLocality = null;
+        let locationError = null;
+        try {
+            resolvedLocality = await ensureSessionLocation(page, session, log, adapter, targetPincode);
+        } catch (error) {
+            locationError = error.message;
+        }
+
+        const state = await adapter.extractServiceability(page);
+        const isLastAttempt = request.retryCount >= maxRequestRetries;
+        if (locationError && !state.unserviceableText && !isLastAttempt) {
+            throw new Error(locationError);
+        }
+
+        const record = toServiceabilityRecord({ adapter, pincode: targetPincode, resolvedLocality, state, locationError });
+        await (await Dataset.open(SERVICEABILITY_DATASET_NAME)).pushData(record);
+
+        const status = record.serviceable === null ? `unknown (${record.reason})`
+            : record.serviceable ? `serviceable, ETA ${record.etaMinutes ?? '?'} min${record.storeOpen === false ? ', store closed' : ''}`
+                : 'not serviceable';
+        log.info(`${record.serviceable ? '✅' : '🚫'} ${adapter.displayName} @ ${targetPincode}: ${status}`);
+    });
+
+    router.addHandler(LABELS.CATEGORY_HOME, async ({ page, request, session, log, addRequests }) => {
+        const adapter = getPlatform(request.userData.platform);
+        const targetPincode = request.userData.pincode;
+
+        log.info(`🗂️ Discovering ${adapter.displayName} categories from home navigation (pincode ${targetPincode})`);
+
+        await ensureSessionLocation(page, session, log, adapter, targetPincode);
+        await page.waitForLoadState('domcontentloaded');
+        await page.waitForSelector(adapter.categorySelector, { timeout: 15000 });
+        const scroll = await autoScroll(page, log, adapter.productSelector, 5, { listingRequestRegex: adapter.apiResponseRegex });
+        if (scroll.reason === SCROLL_STOP_REASONS.ERROR) {
+            log.warning('⚠️ Home page scrolling failed, lazy category tiles may be missing');
+        }
+
+        // Home tiles point at the first subcategory of each category and are named by their image
+        const tree = {};
+        categoryTrees[`${adapter.name}|${targetPincode}`] = Promise.resolve(tree);
+        const links = await adapter.extractCategoryLinks(page);
+        for (const link of links) {
+            if (tree[link.cid]) continue;
+            const tile = links.find(l => l.cid === link.cid && l.fromImage && l.name);
+            tree[link.cid] = {
+                cid: link.cid,
+                name: tile?.name || humanizeSlug(link.categorySlug),
+                slug: link.categorySlug,
+                url: link.url,
+                subcategories: []
+            };
+        }
+
+        const wanted = Object.values(tree).filter(category => isWantedCategory(categories, category.name, category.slug));
+        log.info(`✓ Found ${Object.keys(tree).length} categories, ${wanted.length} selected: ${wanted.map(c => c.name).join(', ')}`);
+
+        await saveCategoryTree(adapter, targetPincode, tree);
+        await addRequests(wanted.map(category => ({
+            url: category.url,
+            label: LABELS.CATEGORY,
+            uniqueKey: `${adapter.name}|${targetPincode}|category|${category.cid}`,
+            // The category travels with the request, the in-memory tree does not survive a migration
+            userData: {
+                platform: adapter.name,
+                pincode: targetPincode,
+                category: { cid: category.cid, name: category.name, slug: category.slug, url: category.url }
+            }
+        })));
+    });
+
+    router.addHandler(LABELS.CATEGORY, async ({ page, request, session, log, addRequests }) => {
+        const adapter = getPlatform(request.userData.platform);
+        const targetPincode = request.userData.pincode;
+        const { category } = request.userData;
+
+        log.info(`🗂️ Discovering subcategories of "${category.name}" (pincode ${targetPincode})`);
+
+        await ensureSessionLocation(page, session, log, adapter, targetPincode);
+        await page.waitForLoadState('domcontentloaded');
+        await page.waitForSelector(adapter.categorySelector, { timeout: 15000 });
+
+        // The sidebar lists the sibling subcategories under the same cid, as text links
+        const subcategoriesById = new Map();
+        for (const link of await adapter.extractCategoryLinks(page)) {
+            if (link.cid !== category.cid || (subcategoriesById.has(link.scid) && link.fromImage)) continue;
+            subcategoriesById.set(link.scid, {
+                scid: link.scid,
+                name: (!link.fromImage && link.name) || humanizeSlug(link.subcategorySlug),
+                slug: link.subcategorySlug,
+                url: link.url
+            });
+        }
+        const subcategories = Array.from(subcategoriesById.values());
+
+        if (subcategories.length === 0) {
+            throw new Error(`No subcategories found for category ${category.name}`);
+        }
+
+        const tree = await categoryTreeOf(adapter, targetPincode);
+        tree[category.cid] = { ...category, ...tree[category.cid], subcategories };
+        await saveCategoryTree(adapter, targetPincode, tree);
+
+        log.info(`✓ Found ${subcategories.length} subcategories in "${category.name}"`);
+
+        await addRequests(subcategories.map(subcategory => ({
+            url: subcategory.url,
+            label: LABELS.LISTING,
+            uniqueKey: `${adapter.name}|${targetPincode}|url|${subcategory.url}`,
+            userData: {
+                platform: adapter.name,
+                query: null,
+                pincode: targetPincode,
+                categoryPath: [category.name, subcategory.name]
+            }
+        })));
+    });
+
+    return router;
+}
@@ -0,0 +1,202 @@
+import { delay } from './utils.js';
+
+/**
+ * Marks the product elements that are not marked yet with the scroll step and
+ * the scroll offset at which they showed up, read back by the extractors as
+ * `data-loaded-at-scroll` / `data-scroll-depth`.
+ */
+export async function tagLoadedProducts(page, productSelector, scrollStep) {
+    return page.evaluate(({ selector, step }) => {
+        let tagged = 0;
+        document.querySelectorAll(selector).forEach(el => {
+            if (el.hasAttribute('data-loaded-at-scroll')) return;
+            el.setAttribute('data-loaded-at-scroll', String(step));
+            el.setAttribute('data-scroll-depth', String(Math.round(window.scrollY)));
+            tagged++;
+        });
+        return tagged;
+    }, { selector: productSelector, step: scrollStep });
+}
+
+export const SCROLL_STOP_REASONS = {
+    TARGET_REACHED: 'target_reached',
+    END_OF_RESULTS: 'end_of_results',
+    NO_NEW_PRODUCTS: 'no_new_products',
+    MAX_SCROLLS: 'max_scrolls',
+    ERROR: 'error',
+};
+
+// A scroll step is over once listing requests have been quiet this long, or after the cap
+const QUIET_MS = 700;
+const MAX_STEP_WAIT_MS = 8000;
+const POLL_MS = 100;
+// Quiet steps in a row, the second after a nudge, before the listing counts as exhausted
+const MAX_IDLE_STEPS = 2;
+
+/**
+ * Follows the page's listing requests (XHR/fetch matching `requestRegex`, or
+ * all of them): how many are in flight and how long ago the last one started or ended.
+ */
+function trackListingRequests(page, requestRegex) {
+    const pending = new Set();
+    let lastActivity = Date.now();
+
+    const isListing = request => ['xhr', 'fetch'].includes(request.resourceType()) && (!requestRegex || requestRegex.test(request.url()));
+    const onStart = (request) => {
+        if (!isListing(request)) return;
+        pending.add(request);
+        lastActivity = Date.now();
+    };
+    const onEnd = (request) => {
+        if (pending.delete(request)) lastActivity = Date.now();
+    };
+
+    page.on('request', onStart);
+    page.on('requestfinished', onEnd);
+    page.on('requestfailed', onEnd);
+
+    return {
+        isSettled: () => pending.size === 0 && Date.now() - lastActivity >= QUIET_MS,
+        stop: () => {
+            page.off('request', onStart);
+            page.off('requestfinished', onEnd);
+            page.off('requestfailed', onEnd);
+        }
+    };
+}
+
+async function readListingState(page, productSelector, endOfResultsSelector) {
+    return page.evaluate(({ productSelector, endOfResultsSelector }) => ({
+        count: document.querySelectorAll(productSelector).length,
+        atEnd: Boolean(endOfResultsSelector)
+            && Array.from(document.querySelectorAll(endOfResultsSelector)).some(el => el.getClientRects().length > 0)
+    }), { productSelector, endOfResultsSelector });
+}
+
+/**
+ * Waits after a scroll until new cards enter the DOM, the end-of-results marker
+ * shows, or the listing requests settle without either.
+ * Returns `{ outcome: 'grew' | 'end' | 'idle', count }`.
+ */
+async function waitForNextBatch(page, network, { productSelector, endOfResultsSelector, previousCount }) {
+    const startedAt = Date.now();
+    for (;;) {
+        const { count, atEnd } = await readListingState(page, productSelector, endOfResultsSelector);
+        if (atEnd) return { outcome: 'end', count };
+        if (count > previousCount) return { outcome: 'grew', count };
+
+        const waited = Date.now() - startedAt;
+        if ((waited >= QUIET_MS && network.isSettled()) || waited >= MAX_STEP_WAIT_MS) return { outcome: 'idle', count };
+        await delay(POLL_MS);
+    }
+}
+
+/**
+ * Scrolls the listing until it stops growing, driven by what the page does
+ * rather than fixed sleeps: every step waits only until new cards appear, the
+ * `endOfResultsSelector` marker becomes visible, or the listing requests
+ * (`listingRequestRegex`) have settled. Stops as soon as `targetCount` cards are
+ * loaded. Returns `{ reason, scrolls, productCount, durationMs }`, the reason
+ * being one of `SCROLL_STOP_REASONS`.
+ */
+export async function autoScroll(page, log, productSelector, maxScrolls = 50, { targetCount = Infinity, endOfResultsSelector = null, listingRequestRegex = null } = {}) {
+    const startedAt = Date.now();
+    const network = trackListingRequests(page, listingRequestRegex);
+    let reason = SCROLL_STOP_REASONS.MAX_SCROLLS;
+    let scrolls = 0;
+    let productCount = 0;
+
+    try {
+        log.info(`🔄 Scrolling until all products are loaded (max ${maxScrolls} scrolls${Number.isFinite(targetCount) ? `, ${targetCount} products wanted` : ''})...`);
+
+        // What rendered before any scrolling is step 0
+        await tagLoadedProducts(page, productSelector, 0);
+        const initial = await readListingState(page, productSelector, endOfResultsSelector);
+        productCount = initial.count;
+        if (initial.atEnd) reason = SCROLL_STOP_REASONS.END_OF_RESULTS;
+
+        let idleSteps = 0;
+        while (!initial.atEnd) {
+            if (productCount >= targetCount) {
+                reason = SCROLL_STOP_REASONS.TARGET_REACHED;
+                break;
+            }
+            if (scrolls >= maxScrolls) break;
+
+            scrolls++;
+            await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            const { outcome, count } = await waitForNextBatch(page, network, { productSelector, endOfResultsSelector, previousCount: productCount });
+
+            await tagLoadedProducts(page, productSelector, scrolls);
+            productCount = count;
+            log.info(`  - Scroll ${scrolls}: ${productCount} products (${outcome})`);
+
+            if (outcome === 'end') {
+                reason = SCROLL_STOP_REASONS.END_OF_RESULTS;
+                break;
+            }
+            if (outcome === 'grew') {
+                idleSteps = 0;
+                continue;
+            }
+            if (++idleSteps >= MAX_IDLE_STEPS) {
+                reason = SCROLL_STOP_REASONS.NO_NEW_PRODUCTS;
+                break;
+            }
+            // Back up a screen so loaders watching the bottom of the list fire again on the next step
+            await page.evaluate(() => window.scrollBy(0, -window.innerHeight));
+        }
+
+        // Scroll back to top to ensure all elements are rendered
+        await page.evaluate(() => window.scrollTo(0, 0));
+        await delay(300);
+    } catch (error) {
+        reason = SCROLL_STOP_REASONS.ERROR;
+        log.warning(`Auto-scroll failed: ${error.message}`);
+    } finally {
+        network.stop();
+    }
+
+    const durationMs = Date.now() - startedAt;
+    log.info(`✓ Scrolling stopped (${reason}) after ${scrolls} scroll(s): ${productCount} products in ${(durationMs / 1000).toFixed(1)}s`);
+    return { reason, scrolls, productCount, durationMs };
+}
+
+/**
+ * Waits for search results to appear on the page.
+ */
+export async function waitForSearchResults(page, log, productSelector) {
+    // Try multiple times with delays to handle dynamic loading
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            log.info(`🔍 Attempt ${attempt}/3: Waiting for search results...`);
+            await page.waitForSelector(productSelector, { timeout: 15000 });
+            const count = await page.locator(productSelector).count();
+            if (count > 0) {
+                log.info(`✓ Found ${count} product elements`);
+                await delay(1000);
+                return true;
+            }
+        } catch (e) {
+            // Fallback check
+            try {
+                const bodyText = await page.evaluate(() => document.body.innerText || '');
+                if (bodyText.includes('₹') || /\bADD\b/i.test(bodyText)) {
+                    log.info('✓ Found products via text content check');
+                    await delay(1000);
+                    return true;
+                }
+            } catch (err) {
+                // Ignore
+            }
+
+            if (attempt < 3) {
+                log.info(`⏳ Retry ${attempt}: Products not found yet, waiting 2s...`);
+                await delay(2000);
+            }
+        }
+    }
+
+    log.warning('No search results found after 3 attempts');
+    return false;
+}
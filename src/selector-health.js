@@ -0,0 +1,92 @@
+import { KeyValueStore } from 'crawlee';
+
+export const SELECTOR_HEALTH_KEY = 'SELECTOR_HEALTH';
+
+// Card fields whose fill rate is reported; adapters pick the monitored subset
+const REPORTED_FIELDS = ['productName', 'productImage', 'currentPrice', 'originalPrice', 'productWeight', 'rating', 'productUrl'];
+
+/**
+ * Turns the accumulated per-platform counts into the health report.
+ * A monitored field below `minFillRate`, or a platform whose listings rendered
+ * no cards at all, is listed in `problems`.
+ */
+function buildHealthReport(stats, minFillRate) {
+    const platforms = {};
+    const problems = [];
+
+    for (const [platform, { listings, cards, filled, selectorHits, monitoredFields }] of Object.entries(stats)) {
+        const fields = {};
+        for (const field of REPORTED_FIELDS) {
+            const fillRate = cards > 0 ? Math.round((filled[field] || 0) / cards * 1000) / 1000 : null;
+            const monitored = monitoredFields.includes(field);
+            const belowThreshold = monitored && (fillRate === null || fillRate < minFillRate);
+
+            fields[field] = { filled: filled[field] || 0, nullCount: cards - (filled[field] || 0), fillRate, monitored, belowThreshold };
+            if (belowThreshold && cards > 0) {
+                problems.push(`${platform}: ${field} filled on ${Math.round(fillRate * 100)}% of ${cards} cards (minimum ${Math.round(minFillRate * 100)}%)`);
+            }
+        }
+        if (cards === 0) {
+            problems.push(`${platform}: no product cards found on ${listings} listing page(s)`);
+        }
+
+        platforms[platform] = { listings, cards, fields, selectorHits };
+    }
+
+    return { generatedAt: new Date().toISOString(), minFillRate, healthy: problems.length === 0, problems, platforms };
+}
+
+/**
+ * Collects selector statistics of the DOM listing extraction over the run:
+ * which selector of each chain matched how often, and how many cards had each
+ * field filled. API records are not counted, they say nothing about the selectors.
+ */
+export function createSelectorHealth({ minFillRate, log }) {
+    const stats = {};
+
+    /**
+     * Adds one extracted listing page, `{ products, selectorHits }` as returned by `adapter.extractListing`.
+     */
+    function recordListing(adapter, { products, selectorHits = {} }) {
+        const entry = stats[adapter.displayName] ??= {
+            listings: 0,
+            cards: 0,
+            filled: {},
+            selectorHits: {},
+            monitoredFields: adapter.monitoredFields || []
+        };
+
+        entry.listings++;
+        entry.cards += products.length;
+        for (const product of products) {
+            for (const field of REPORTED_FIELDS) {
+                if (product[field] !== null && product[field] !== undefined && product[field] !== '') {
+                    entry.filled[field] = (entry.filled[field] || 0) + 1;
+                }
+            }
+        }
+        for (const [field, hits] of Object.entries(selectorHits)) {
+            entry.selectorHits[field] ??= {};
+            for (const [selector, count] of Object.entries(hits)) {
+                entry.selectorHits[field][selector] = (entry.selectorHits[field][selector] || 0) + count;
+            }
+        }
+    }
+
+    /**
+     * Writes the report to the `SELECTOR_HEALTH` record and logs every problem.
+     */
+    async function finish() {
+        const report = buildHealthReport(stats, minFillRate);
+        await KeyValueStore.setValue(SELECTOR_HEALTH_KEY, report);
+
+        if (report.healthy) {
+            log.info(`🩺 Selector health OK for ${Object.keys(report.platforms).join(', ') || 'no platforms'}`);
+        } else {
+            report.problems.forEach(problem => log.warning(`🩺 Selector health: ${problem}`));
+        }
+        return report;
+    }
+
+    return { recordListing, finish };
+}
@@ -0,0 +1,108 @@
+// One row per platform, pincode and check; kept across runs so scheduled checks build the coverage history
+export const SERVICEABILITY_DATASET_NAME = 'serviceability';
+
+export const FEE_TYPES = {
+    SURGE: 'surge',
+    SMALL_CART: 'small_cart',
+    DELIVERY: 'delivery_fee',
+    HANDLING: 'handling_fee',
+    OTHER: 'other',
+};
+
+const amountsIn = (text) => Array.from(text.matchAll(/(?:₹|rs\.?|inr)\s*(\d+(?:,\d+)*(?:\.\d+)?)/gi))
+    .map(match => ({ value: parseFloat(match[1].replace(/,/g, '')), index: match.index }));
+
+/**
+ * Reads the delivery ETA shown for a location ("11 minutes", "1 hr 5 mins",
+ * "10-15 mins") as minutes; a range counts as its upper bound.
+ */
+export function parseEtaMinutes(text) {
+    if (!text) return null;
+    const normalized = String(text).toLowerCase();
+    const hours = normalized.match(/(\d+(?:\.\d+)?)\s*(?:hrs?|hours?)\b/);
+    const minutes = normalized.match(/(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*(?:mins?|minutes?)\b/);
+    if (!hours && !minutes) return null;
+
+    return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? Number(minutes[2] ?? minutes[1]) : 0));
+}
+
+/**
+ * Reads a store status message ("Store closed, opens at 6 AM"). Returns
+ * `{ storeOpen, opensAt }`, the opening time as 24-hour `HH:MM` when given.
+ */
+export function parseStoreStatus(text) {
+    if (!text) return { storeOpen: null, opensAt: null };
+    const normalized = String(text).replace(/\s+/g, ' ');
+    const closed = /\bclosed\b|\b(?:opens?|opening|back) (?:at|by|in|soon|tomorrow)\b|\bnot accepting\b|\bunavailable\b/i.test(normalized);
+
+    const time = normalized.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b/i) || normalized.match(/\b(\d{1,2}):(\d{2})\b/);
+    let opensAt = null;
+    if (closed && time) {
+        const meridiem = time[3]?.toLowerCase();
+        let hour = Number(time[1]);
+        if (meridiem === 'pm' && hour < 12) hour += 12;
+        if (meridiem === 'am' && hour === 12) hour = 0;
+        opensAt = `${String(hour).padStart(2, '0')}:${time[2] || '00'}`;
+    }
+
+    return { storeOpen: !closed, opensAt };
+}
+
+/**
+ * Reads one fee banner. Returns `{ type, text, amount, threshold }`: the fee and,
+ * for small-cart fees, the order value below which it applies.
+ */
+export function parseFeeBanner(text) {
+    const banner = String(text).replace(/\s+/g, ' ').trim();
+    const type = /\bsurge\b|\bhigh demand\b|\bpeak\b|\brain\b|\blate[- ]night\b/i.test(banner) ? FEE_TYPES.SURGE
+        : /\bsmall[- ]cart\b|\bminimum order\b|\bbelow\b|\bunder\b|\bless than\b/i.test(banner) ? FEE_TYPES.SMALL_CART
+            : /\bhandling\b|\bpackaging\b|\bplatform fee\b/i.test(banner) ? FEE_TYPES.HANDLING
+                : /\bdelivery (?:fee|charge)/i.test(banner) ? FEE_TYPES.DELIVERY
+                    : FEE_TYPES.OTHER;
+
+    const thresholdMatch = banner.match(/\b(?:below|under|less than|up to|upto)\s*(?:₹|rs\.?|inr)\s*(\d+(?:,\d+)*(?:\.\d+)?)/i);
+    const thresholdIndex = thresholdMatch ? thresholdMatch.index + thresholdMatch[0].length : -1;
+    const amount = amountsIn(banner).find(({ index }) => !thresholdMatch || index < thresholdMatch.index || index >= thresholdIndex);
+
+    return {
+        type,
+        text: banner,
+        amount: amount?.value ?? null,
+        threshold: thresholdMatch ? parseFloat(thresholdMatch[1].replace(/,/g, '')) : null
+    };
+}
+
+/**
+ * The serviceability row of one platform at one pincode, from what its page
+ * showed (`{ etaText, unserviceableText, storeStatusText, feeTexts }`, see
+ * `adapter.extractServiceability`). A location that could not be set is
+ * recorded with `serviceable: null` and the reason, unless the page said the
+ * area is not served.
+ */
+export function toServiceabilityRecord({ adapter, pincode, resolvedLocality = null, state = {}, locationError = null }) {
+    const { etaText = null, unserviceableText = null, storeStatusText = null, feeTexts = [] } = state;
+    const serviceable = unserviceableText ? false : (locationError ? null : true);
+    const etaMinutes = serviceable ? parseEtaMinutes(etaText) : null;
+    const store = parseStoreStatus(storeStatusText);
+    const fees = [...new Set(feeTexts.map(text => String(text).replace(/\s+/g, ' ').trim()).filter(Boolean))].map(parseFeeBanner);
+    const feeOf = (type) => fees.find(fee => fee.type === type);
+
+    return {
+        pincode,
+        platform: adapter.displayName,
+        checkedAt: new Date().toISOString(),
+        serviceable,
+        resolvedLocality,
+        unserviceableMessage: unserviceableText,
+        etaText: serviceable ? etaText : null,
+        etaMinutes,
+        storeOpen: store.storeOpen ?? (etaMinutes !== null ? true : null),
+        storeMessage: storeStatusText,
+        opensAt: store.opensAt,
+        surgeFee: feeOf(FEE_TYPES.SURGE)?.amount ?? null,
+        smallCartFee: feeOf(FEE_TYPES.SMALL_CART)?.amount ?? null,
+        smallCartThreshold: feeOf(FEE_TYPES.SMALL_CART)?.threshold ?? null,
+        fees,
+        reason: serviceable === null ? locationError : null
+    };
+}
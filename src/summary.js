@@ -0,0 +1,165 @@
+import { Dataset, KeyValueStore } from 'crawlee';
+import { DIRECT_URL_QUERY } from './routes.js';
+
+export const SUMMARY_DATASET_NAME = 'query-summaries';
+export const SUMMARY_KEY = 'SUMMARY';
+export const SUMMARY_HTML_KEY = 'SUMMARY_HTML';
+
+const round = (value, digits = 3) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Brand a record is counted under; records without a confident brand share one bucket.
+ */
+export function brandOf(record) {
+    return record.brand || 'Unknown';
+}
+
+/**
+ * What a record's listing is called: its query, else its category, else its URL.
+ * Direct URLs without a query all share the `direct_url` placeholder, so their URL names them.
+ */
+export function listingNameOf(record) {
+    const query = record.searchQuery === DIRECT_URL_QUERY ? null : record.searchQuery;
+    return query || record.category || record.searchUrl || null;
+}
+
+/**
+ * Summarizes the saved records of one listing (a query or category at one pincode).
+ * Brand shares are over the top `topN` positions; sponsored share, stock and
+ * price figures over every saved record. `averageDiscount` counts undiscounted
+ * products as 0%. Only the displayed variant of a multi-variant card is counted.
+ * `scroll` is what `autoScroll` returned for the listing: why and after how many scrolls it stopped.
+ */
+export function summarizeListing(allRecords, { topN, totalResults = null, scroll = null }) {
+    // A card's other pack sizes share its position and would count it twice
+    const records = allRecords.filter(record => record.isDisplayedVariant !== false);
+    const ordered = [...records].sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+    const top = ordered.slice(0, topN);
+    const [first] = ordered;
+
+    const brandCounts = new Map();
+    for (const record of top) {
+        const brand = brandOf(record);
+        brandCounts.set(brand, (brandCounts.get(brand) || 0) + 1);
+    }
+    const brandShareTopN = Array.from(brandCounts, ([brand, count]) => ({ brand, count, share: round(count / top.length) }))
+        .sort((a, b) => b.count - a.count || a.brand.localeCompare(b.brand));
+
+    const prices = records.map(r => r.currentPrice).filter(price => typeof price === 'number');
+    const priced = records.filter(r => typeof r.currentPrice === 'number');
+    const share = (predicate) => (records.length > 0 ? round(records.filter(predicate).length / records.length) : null);
+
+    return {
+        platform: first?.platform ?? null,
+        query: first ? listingNameOf(first) : null,
+        pincode: first?.pincode ?? null,
+        resolvedLocality: first?.resolvedLocality ?? null,
+        totalResults: totalResults ?? records.length,
+        savedResults: records.length,
+        topN,
+        brandShareTopN,
+        sponsoredShare: share(r => r.isSponsored),
+        outOfStockRate: share(r => r.isOutOfStock),
+        medianPrice: median(prices),
+        minPrice: prices.length > 0 ? Math.min(...prices) : null,
+        averageDiscount: priced.length > 0 ? round(priced.reduce((sum, r) => sum + (r.discountPercentage || 0), 0) / priced.length, 1) : null,
+        deliveryTime: first?.deliveryTime ?? null,
+        scrollStopReason: scroll?.reason ?? null,
+        scrolls: scroll?.scrolls ?? null
+    };
+}
+
+const escapeHtml = (value) => String(value ?? '–').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const percent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+/**
+ * Renders the summaries as a standalone HTML page, one table row per query and pincode.
+ */
+export function renderSummaryHtml(summaries, generatedAt) {
+    const rows = summaries.map(s => `
+        <tr>
+            <td>${escapeHtml(s.platform)}</td>
+            <td>${escapeHtml(s.query)}</td>
+            <td>${escapeHtml(s.pincode)}<br><small>${escapeHtml(s.resolvedLocality)}</small></td>
+            <td>${s.totalResults}</td>
+            <td>${s.brandShareTopN.slice(0, 5).map(b => `${escapeHtml(b.brand)} ${percent(b.share)}`).join('<br>')}</td>
+            <td>${percent(s.sponsoredShare)}</td>
+            <td>${percent(s.outOfStockRate)}</td>
+            <td>${escapeHtml(s.medianPrice)}</td>
+            <td>${escapeHtml(s.minPrice)}</td>
+            <td>${s.averageDiscount === null ? '–' : `${s.averageDiscount}%`}</td>
+            <td>${escapeHtml(s.deliveryTime)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Share of shelf summary</title>
+    <style>
+        body { font-family: sans-serif; margin: 24px; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #ccc; padding: 6px 10px; text-align: left; vertical-align: top; }
+        th { background: #f4f4f4; }
+    </style>
+</head>
+<body>
+    <h1>Share of shelf summary</h1>
+    <p>Generated ${escapeHtml(generatedAt)}</p>
+    <table>
+        <thead>
+            <tr>
+                <th>Platform</th><th>Query</th><th>Pincode</th><th>Results</th><th>Top brands (top N)</th>
+                <th>Sponsored</th><th>Out of stock</th><th>Median ₹</th><th>Min ₹</th><th>Avg. discount</th><th>Delivery</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Collects the records the router saves, per platform, listing and pincode, and
+ * writes the summaries at the end of the run: the `query-summaries` dataset and
+ * the `SUMMARY` (JSON) and `SUMMARY_HTML` key-value records.
+ */
+export function createSummaryCollector({ topN, log }) {
+    const listings = new Map();
+
+    return {
+        /**
+         * Adds the saved records of one listing; `totalResults` counts the products before truncation
+         * and `scroll` is the `autoScroll` result of the listing.
+         */
+        addListing(records, totalResults, scroll = null) {
+            if (records.length === 0) return;
+            const [first] = records;
+            const key = [first.platform, first.pincode, listingNameOf(first)].join('|');
+            listings.set(key, { records, totalResults, scroll });
+        },
+
+        async finish() {
+            const summaries = Array.from(listings.values(), ({ records, totalResults, scroll }) => summarizeListing(records, { topN, totalResults, scroll }));
+            const generatedAt = new Date().toISOString();
+
+            if (summaries.length > 0) {
+                await (await Dataset.open(SUMMARY_DATASET_NAME)).pushData(summaries);
+            }
+            await KeyValueStore.setValue(SUMMARY_KEY, { generatedAt, topN, summaries });
+            await KeyValueStore.setValue(SUMMARY_HTML_KEY, renderSummaryHtml(summaries, generatedAt), { contentType: 'text/html' });
+
+            log.info(`📊 Wrote share-of-shelf summaries for ${summaries.length} query/pincode listing(s)`);
+            return summaries;
+        }
+    };
+}
@@ -0,0 +1,31 @@
+import UserAgent from 'user-agents';
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function pickRandom(arr) {
+    return arr[Math.floor(Math.random() * arr.length)];
+}
+
+// Function to generate a random user agent
+export function getRandomUserAgent() {
+    const userAgent = new UserAgent({ deviceCategory: 'desktop' });
+    return userAgent.toString();
+}
+
+/**
+ * Turns a slug like "dairy-bread-eggs" into "Dairy Bread Eggs".
+ */
+export function humanizeSlug(slug) {
+    return decodeURIComponent(slug)
+        .split('-')
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Lowercases and strips everything but letters and digits, for loose text comparisons.
+ */
+export function simplifyText(value) {
+    return (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
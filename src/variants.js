@@ -0,0 +1,63 @@
+// Variant rows from product pages, one per pack size
+export const VARIANTS_DATASET_NAME = 'product-variants';
+
+const discountOf = (currentPrice, originalPrice) => (currentPrice && originalPrice && originalPrice > currentPrice
+    ? Math.round(((originalPrice - currentPrice) / originalPrice) * 100)
+    : null);
+
+/**
+ * Splits a product carrying `variants` (`[{ productVariantId, productWeight,
+ * currentPrice, originalPrice, isOutOfStock, productUrl }]`, from the API or a
+ * variant picker) into one record per variant. Each keeps the product's shared
+ * fields (name, image, placement...), takes its own id, pack size, prices and
+ * stock, and points at the shared `parentProductId`.
+ * The variant shown on the card is flagged `isDisplayedVariant`, and is kept
+ * even when the picker did not list it, and alone keeps the card's promotions
+ * (`offerTexts`, `membershipPrice`, `maxOrderQuantity`), which were shown for it.
+ * Products without variants pass through.
+ */
+export function expandVariants(product) {
+    const { variants, ...shared } = product;
+    if (!variants?.length) return [shared];
+
+    const { offerTexts, membershipPrice, maxOrderQuantity, ...common } = shared;
+    const promotions = {
+        ...(offerTexts && { offerTexts }),
+        ...(membershipPrice !== undefined && { membershipPrice }),
+        ...(maxOrderQuantity !== undefined && { maxOrderQuantity })
+    };
+    const parentProductId = shared.parentProductId || shared.productId;
+    const listed = variants.some(variant => variant.productVariantId === shared.productId)
+        ? variants
+        : [{
+            productVariantId: shared.productId,
+            productWeight: shared.productWeight,
+            currentPrice: shared.currentPrice,
+            originalPrice: shared.originalPrice,
+            isOutOfStock: shared.isOutOfStock,
+            productUrl: shared.productUrl
+        }, ...variants];
+
+    return listed.map(variant => {
+        const isDisplayedVariant = variant.productVariantId === shared.productId;
+        const currentPrice = variant.currentPrice ?? (isDisplayedVariant ? shared.currentPrice : null);
+        const originalPrice = variant.originalPrice ?? (isDisplayedVariant ? shared.originalPrice : null);
+
+        return {
+            ...common,
+            ...(isDisplayedVariant && promotions),
+            productId: variant.productVariantId,
+            productVariantId: variant.productVariantId,
+            parentProductId,
+            productWeight: variant.productWeight ?? (isDisplayedVariant ? shared.productWeight : null),
+            currentPrice,
+            originalPrice,
+            discountPercentage: discountOf(currentPrice, originalPrice),
+            isOutOfStock: Boolean(variant.isOutOfStock),
+            productUrl: variant.productUrl
+                || (shared.productUrl ? shared.productUrl.replace(/\/pvid\/[^/?#]+/, `/pvid/${variant.productVariantId}`) : null),
+            isDisplayedVariant,
+            variantCount: listed.length
+        };
+    });
+}
@@ -0,0 +1,175 @@
+import { createHmac } from 'node:crypto';
+import { Dataset, KeyValueStore } from 'crawlee';
+import { getPlatformForUrl } from './platforms/index.js';
+
+// Named, so the last seen price and stock of every watched product outlive the run
+export const WATCHLIST_STATE_STORE_NAME = 'watchlist-state';
+export const ALERTS_DATASET_NAME = 'alerts';
+
+const STATE_KEY = 'STATE';
+
+export const ALERT_TYPES = {
+    PRICE_TARGET: 'price_target',
+    WENT_OUT_OF_STOCK: 'went_out_of_stock',
+    BACK_IN_STOCK: 'back_in_stock',
+};
+
+export const SIGNATURE_HEADER = 'X-Signature';
+export const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+
+/**
+ * HMAC-SHA256 of `<timestamp>.<body>`, hex encoded. Receivers recompute it
+ * with the shared secret to check the payload came from this actor.
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * The product ID of a watched item: given, or parsed from its product URL.
+ */
+function watchedProductId(item) {
+    if (item.productId) return String(item.productId);
+    const regex = item.productUrl && getPlatformForUrl(item.productUrl)?.productUrlRegex;
+    return (regex && item.productUrl.match(regex)?.[2]) || null;
+}
+
+/**
+ * Whether a scraped record is the product (and pincode, when given) a watchlist item names.
+ */
+export function matchesWatchItem(item, record) {
+    if (item.pincode && String(item.pincode) !== String(record.pincode)) return false;
+    const productId = watchedProductId(item);
+    if (productId) return productId === String(record.productId);
+    return Boolean(item.productUrl) && item.productUrl.split('?')[0] === record.productUrl?.split('?')[0];
+}
+
+/**
+ * Compares a record with the last state seen for its watch item. A price alert
+ * fires when the price reaches the target from above (or on first sight);
+ * stock alerts fire on changes only. Returns `{ alerts, state }`.
+ */
+export function evaluateWatchItem(item, record, previous) {
+    const price = typeof record.currentPrice === 'number' ? record.currentPrice : null;
+    const atTarget = item.targetPrice !== undefined && item.targetPrice !== null && price !== null && price <= item.targetPrice;
+    const isOutOfStock = Boolean(record.isOutOfStock);
+    const alerts = [];
+
+    if (atTarget && !previous?.atTarget) {
+        alerts.push(ALERT_TYPES.PRICE_TARGET);
+    }
+    if (item.alertOnStockChange && previous && previous.isOutOfStock !== isOutOfStock) {
+        alerts.push(isOutOfStock ? ALERT_TYPES.WENT_OUT_OF_STOCK : ALERT_TYPES.BACK_IN_STOCK);
+    }
+
+    return {
+        alerts,
+        state: { currentPrice: price, isOutOfStock, atTarget, seenAt: record.scrapedAt || new Date().toISOString() }
+    };
+}
+
+/**
+ * Checks scraped records against a watchlist of `{ productId | productUrl,
+ * pincode?, targetPrice?, alertOnStockChange? }` items. Alerts go to the
+ * `alerts` dataset and, with a `webhookUrl`, are POSTed as JSON one by one,
+ * signed with `secret` (see `signPayload`) and retried with exponential
+ * backoff on network errors, 429 and 5xx responses.
+ */
+export function createWatchlist({ items, webhookUrl = null, secret = null, maxAttempts = 4, retryDelayMs = 1000, log }) {
+    const deliveries = new Set();
+    let state = null;
+    let datasetPromise;
+    let storePromise;
+    const openDataset = () => (datasetPromise ??= Dataset.open(ALERTS_DATASET_NAME));
+    const openStore = () => (storePromise ??= KeyValueStore.open(WATCHLIST_STATE_STORE_NAME));
+
+    async function loadState() {
+        state ??= openStore().then(store => store.getValue(STATE_KEY)).then(saved => saved || {});
+        return state;
+    }
+
+    async function post(alert) {
+        const body = JSON.stringify(alert);
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const timestamp = String(Date.now());
+            const headers = { 'Content-Type': 'application/json', [TIMESTAMP_HEADER]: timestamp };
+            if (secret) headers[SIGNATURE_HEADER] = signPayload(secret, timestamp, body);
+
+            let reason;
+            try {
+                const response = await fetch(webhookUrl, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+                if (response.ok) return { delivered: true, attempts: attempt, error: null };
+                reason = `HTTP ${response.status}`;
+                if (response.status !== 429 && response.status < 500) return { delivered: false, attempts: attempt, error: reason };
+            } catch (e) {
+                reason = e.message;
+            }
+
+            if (attempt === maxAttempts) return { delivered: false, attempts: attempt, error: reason };
+            log.debug(`Webhook attempt ${attempt} failed (${reason}), retrying`);
+            await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+        }
+    }
+
+    async function deliver(alert) {
+        const delivery = webhookUrl ? await post(alert) : { delivered: false, attempts: 0, error: 'no webhook configured' };
+        if (webhookUrl && !delivery.delivered) {
+            log.warning(`⚠️ Could not deliver ${alert.alertType} alert for ${alert.productName || alert.productId}: ${delivery.error}`);
+        }
+        await (await openDataset()).pushData({ ...alert, delivery });
+    }
+
+    return {
+        /**
+         * Checks the saved records of one listing; their alerts are delivered in the background.
+         */
+        async checkListing(records) {
+            const seen = await loadState();
+            const alerts = [];
+
+            for (const record of records) {
+                items.forEach((item) => {
+                    if (!matchesWatchItem(item, record)) return;
+                    const key = [watchedProductId(item) || item.productUrl, item.targetPrice ?? '', record.platform, record.pincode].join('|');
+                    const { alerts: alertTypes, state: next } = evaluateWatchItem(item, record, seen[key]);
+                    seen[key] = next;
+
+                    for (const alertType of alertTypes) {
+                        alerts.push({
+                            alertType,
+                            productId: record.productId,
+                            productName: record.productName,
+                            productUrl: record.productUrl,
+                            platform: record.platform,
+                            pincode: record.pincode,
+                            currentPrice: next.currentPrice,
+                            targetPrice: item.targetPrice ?? null,
+                            isOutOfStock: next.isOutOfStock,
+                            searchQuery: record.searchQuery || null,
+                            detectedAt: new Date().toISOString()
+                        });
+                    }
+                });
+            }
+
+            for (const alert of alerts) {
+                log.info(`🚨 ${alert.alertType} alert: ${alert.productName} @ ${alert.pincode} (₹${alert.currentPrice})`);
+                const delivery = deliver(alert)
+                    .catch(e => log.warning(`⚠️ Could not save ${alert.alertType} alert: ${e.message}`))
+                    .finally(() => deliveries.delete(delivery));
+                deliveries.add(delivery);
+            }
+            return alerts;
+        },
+
+        /**
+         * Waits for pending webhook deliveries and saves the watch state for the next run.
+         */
+        async finish() {
+            await Promise.allSettled(deliveries);
+            if (state) {
+                await (await openStore()).setValue(STATE_KEY, await state);
+            }
+        }
+    };
+}
@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { mergeListingProducts, startApiCapture, takeApiProducts } from '../src/api-capture.js';
+import { parseApiProducts, zeptoAdapter } from '../src/platforms/zepto.js';
+import { launchBrowser, openPage, skipWithoutBrowser } from './helpers/browser.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+
+// Trimmed shape of the search API's layout widgets
+const SEARCH_PAYLOAD = {
+    layout: [{
+        widgetId: 'PRODUCT_GRID',
+        data: {
+            resolver: {
+                data: {
+                    items: [
+                        {
+                            storeId: 'store-1',
+                            discountedSellingPrice: 2700,
+                            mrp: 2900,
+                            availableQuantity: 12,
+                            superSaverSellingPrice: 2500,
+                            maxAllowedQuantity: 3,
+                            offers: ['Buy 2 Get 1', { text: 'Extra 5% off' }, { id: 'no-text' }],
+                            product: { id: 'p-1', name: 'Amul Taaza Toned Fresh Milk', brand: 'Amul' },
+                            productVariant: { id: 'pv-101', formattedPacksize: '500 ml', images: [{ path: 'amul-taaza.jpg' }], ratingSummary: { averageRating: 4.6 } },
+                        },
+                        {
+                            sellingPrice: 14000,
+                            availableQuantity: 0,
+                            campaignId: 'cmp-9',
+                            product: { id: 'p-3', name: 'Gowardhan Cow Milk' },
+                            productVariant: { id: 'pv-103', packsize: '2 x 1 L' },
+                        },
+                        { product: { id: 'p-x' } },
+                    ],
+                },
+            },
+        },
+    }],
+};
+
+const withoutTimestamps = (records) => records.map(({ scrapedAt, ...rest }) => rest);
+
+describe('parseApiProducts', () => {
+    test('normalizes product widgets wherever they are nested', () => {
+        assert.deepEqual(withoutTimestamps(parseApiProducts(SEARCH_PAYLOAD)), [
+            {
+                productId: 'pv-101',
+                productSlug: 'amul-taaza-toned-fresh-milk',
+                productName: 'Amul Taaza Toned Fresh Milk',
+                productImage: 'https://cdn.zeptonow.com/production/amul-taaza.jpg',
+                currentPrice: 27,
+                originalPrice: 29,
+                discountPercentage: 7,
+                productWeight: '500 ml',
+                rating: 4.6,
+                isSponsored: false,
+                isOutOfStock: false,
+                productUrl: 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101',
+                parentProductId: 'p-1',
+                productVariantId: 'pv-101',
+                brand: 'Amul',
+                inventory: 12,
+                membershipPrice: 25,
+                maxOrderQuantity: 3,
+                storeId: 'store-1',
+                source: 'api',
+                offerTexts: ['Buy 2 Get 1', 'Extra 5% off'],
+            },
+            {
+                productId: 'pv-103',
+                productSlug: 'gowardhan-cow-milk',
+                productName: 'Gowardhan Cow Milk',
+                productImage: null,
+                currentPrice: 140,
+                originalPrice: null,
+                discountPercentage: null,
+                productWeight: '2 x 1 L',
+                rating: null,
+                isSponsored: true,
+                isOutOfStock: true,
+                productUrl: 'https://www.zepto.com/pn/gowardhan-cow-milk/pvid/pv-103',
+                parentProductId: 'p-3',
+                productVariantId: 'pv-103',
+                brand: null,
+                inventory: 0,
+                membershipPrice: null,
+                maxOrderQuantity: null,
+                storeId: null,
+                source: 'api',
+            },
+        ]);
+    });
+
+    test('lists the sibling pack sizes of multi-variant items', () => {
+        const [product] = parseApiProducts({
+            items: [{
+                discountedSellingPrice: 2700,
+                mrp: 2900,
+                product: { id: 'p-1', name: 'Amul Taaza Toned Fresh Milk' },
+                productVariant: { id: 'pv-101', formattedPacksize: '500 ml' },
+                variants: [
+                    { discountedSellingPrice: 2700, mrp: 2900, productVariant: { id: 'pv-101', formattedPacksize: '500 ml' } },
+                    { id: 'pv-111', formattedPacksize: '1 L', sellingPrice: 5400, mrp: 5600, availableQuantity: 0 },
+                ],
+            }],
+        });
+
+        assert.equal(product.parentProductId, 'p-1');
+        assert.deepEqual(product.variants, [
+            { productVariantId: 'pv-101', productWeight: '500 ml', currentPrice: 27, originalPrice: 29, isOutOfStock: false, productUrl: 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101' },
+            { productVariantId: 'pv-111', productWeight: '1 L', currentPrice: 54, originalPrice: 56, isOutOfStock: true, productUrl: 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-111' },
+        ]);
+    });
+
+    test('returns nothing for unrelated payloads', () => {
+        assert.deepEqual(parseApiProducts({ user: { id: 'u-1' } }), []);
+        assert.deepEqual(parseApiProducts(null), []);
+    });
+});
+
+describe('mergeListingProducts', () => {
+    test('keeps DOM order, prefers API records and appends unrendered ones', () => {
+        const api = [
+            { productId: 'b', currentPrice: 20, isSponsored: false, rating: null, source: 'api' },
+            { productId: 'c', currentPrice: 30, isSponsored: false, rating: 4.1, source: 'api' },
+        ];
+        const dom = [
+            { productId: 'a', currentPrice: 10, isSponsored: false, rating: null },
+            { productId: 'b', currentPrice: 21, isSponsored: true, rating: 4.5 },
+        ];
+
+        assert.deepEqual(mergeListingProducts(api, dom), [
+            { productId: 'a', currentPrice: 10, isSponsored: false, rating: null, source: 'dom' },
+            { productId: 'b', currentPrice: 20, isSponsored: true, rating: 4.5, source: 'api' },
+            { productId: 'c', currentPrice: 30, isSponsored: false, rating: 4.1, source: 'api' },
+        ]);
+    });
+
+    test('adds the offer badges only the DOM showed', () => {
+        const api = [{ productId: 'a', offerTexts: ['Buy 2 Get 1'], source: 'api' }];
+        const dom = [{ productId: 'a', offerTexts: ['Buy 2 Get 1', '₹25 with Pass'] }];
+
+        assert.deepEqual(mergeListingProducts(api, dom)[0].offerTexts, ['Buy 2 Get 1', '₹25 with Pass']);
+    });
+});
+
+describe('API response capture', { skip: skipWithoutBrowser }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    test('collects products from matching fetch responses only', async () => {
+        const page = await openPage(browser);
+        await page.route(/api\.zeptonow\.com/, route => route.fulfill({
+            status: 200,
+            contentType: 'application/json',
+            headers: { 'Access-Control-Allow-Origin': '*' },
+            body: JSON.stringify(SEARCH_PAYLOAD),
+        }));
+
+        startApiCapture(page, zeptoAdapter);
+        await page.goto(`${server.baseUrl}/search?query=milk`);
+        await page.evaluate(() => Promise.all([
+            fetch('https://api.zeptonow.com/api/v3/search').then(r => r.json()),
+            fetch('https://api.zeptonow.com/api/v3/search').then(r => r.json()),
+        ]));
+        await page.waitForTimeout(200);
+
+        assert.deepEqual(takeApiProducts(page).map(p => p.productId), ['pv-101', 'pv-103']);
+        await page.context().close();
+    });
+});
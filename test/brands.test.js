@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createBrandResolver } from '../src/brands.js';
+
+describe('createBrandResolver', () => {
+    const resolver = createBrandResolver({ 'Amul': ['AMUL', 'Amul Dairy', 'Amul Taaza'], 'Tata': [] });
+
+    test('prefers the brand the site shows, mapped to its canonical name', () => {
+        assert.deepEqual(resolver.resolve({ brand: 'AMUL', productName: 'Gowardhan Cow Milk' }), {
+            brand: 'Amul', brandSource: 'site', brandConfident: true,
+        });
+        assert.deepEqual(resolver.resolve({ brand: ' Amul Dairy ', productName: null }), {
+            brand: 'Amul', brandSource: 'site', brandConfident: true,
+        });
+        assert.deepEqual(resolver.resolve({ brand: 'Sid\'s Farm', productName: 'Sid\'s Farm Cow Milk' }), {
+            brand: 'Sid\'s Farm', brandSource: 'site', brandConfident: true,
+        });
+    });
+
+    test('falls back to the dictionary alias the product name starts with', () => {
+        const brandOf = (productName) => resolver.resolve({ brand: null, productName }).brand;
+
+        assert.equal(brandOf('Amul Taaza Toned Fresh Milk'), 'Amul');
+        assert.equal(brandOf('AMUL Gold Full Cream Milk'), 'Amul');
+        assert.equal(brandOf('Mother Dairy Full Cream Milk'), 'Mother Dairy');
+        assert.equal(brandOf('Haldirams Aloo Bhujia'), 'Haldiram\'s');
+        assert.equal(brandOf('Tata Sampann Toor Dal'), 'Tata Sampann');
+        assert.equal(brandOf('Tata Gold Tea'), 'Tata');
+        assert.equal(brandOf('Nestlé a+ Dahi'), 'Nestle');
+    });
+
+    test('marks products without a confident brand', () => {
+        for (const productName of ['Fresh Toned Milk', 'Milk by Amul', '', null]) {
+            assert.deepEqual(resolver.resolve({ brand: '', productName }), {
+                brand: null, brandSource: null, brandConfident: false,
+            });
+        }
+    });
+
+    test('lets input aliases extend the default dictionary', () => {
+        assert.equal(createBrandResolver().resolve({ productName: 'Sids Farm Milk' }).brand, null);
+        assert.equal(createBrandResolver({ 'Sid\'s Farm': ['Sids Farm'] }).resolve({ productName: 'Sids Farm Milk' }).brand, 'Sid\'s Farm');
+    });
+});
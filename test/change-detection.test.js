@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { Configuration, Dataset, KeyValueStore } from 'crawlee';
+import { CHANGES_DATASET_NAME, SNAPSHOT_STORE_NAME, createChangeTracker, diffSnapshots, toSnapshot } from '../src/change-detection.js';
+import { quietLog } from './helpers/browser.js';
+
+const product = (overrides) => ({
+    productId: 'pv-101',
+    productName: 'Amul Taaza Toned Fresh Milk',
+    productUrl: 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101',
+    currentPrice: 27,
+    originalPrice: 29,
+    discountPercentage: 7,
+    isOutOfStock: false,
+    searchUrl: 'https://www.zepto.com/search?query=milk',
+    scrapedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+});
+
+const changeTypes = (changes) => changes.map(change => change.changeType);
+
+describe('diffSnapshots', () => {
+    test('reports a product without a previous snapshot as a new listing', () => {
+        assert.deepEqual(diffSnapshots(undefined, toSnapshot(product())), [
+            { changeType: 'new_listing', field: null, oldValue: null, newValue: 27 },
+        ]);
+    });
+
+    test('reports price, discount and stock changes with old and new values', () => {
+        const previous = toSnapshot(product());
+
+        assert.deepEqual(diffSnapshots(previous, toSnapshot(product({ currentPrice: 25, discountPercentage: 14 }))), [
+            { changeType: 'price_down', field: 'currentPrice', oldValue: 27, newValue: 25 },
+            { changeType: 'discount_changed', field: 'discountPercentage', oldValue: 7, newValue: 14 },
+        ]);
+        assert.deepEqual(changeTypes(diffSnapshots(previous, toSnapshot(product({ currentPrice: 29, discountPercentage: 3 })))), [
+            'price_up',
+            'discount_changed',
+        ]);
+        assert.deepEqual(diffSnapshots(previous, toSnapshot(product({ isOutOfStock: true }))), [
+            { changeType: 'went_out_of_stock', field: 'isOutOfStock', oldValue: false, newValue: true },
+        ]);
+        assert.deepEqual(changeTypes(diffSnapshots(toSnapshot(product({ isOutOfStock: true })), previous)), ['back_in_stock']);
+    });
+
+    test('ignores unchanged products and prices or discounts that failed to render', () => {
+        const previous = toSnapshot(product());
+        assert.deepEqual(diffSnapshots(previous, toSnapshot(product({ scrapedAt: '2026-01-02T00:00:00.000Z' }))), []);
+        assert.deepEqual(diffSnapshots(previous, toSnapshot(product({ currentPrice: null }))), []);
+        assert.deepEqual(diffSnapshots(previous, toSnapshot(product({ discountPercentage: null }))), []);
+        assert.deepEqual(diffSnapshots(toSnapshot(product({ discountPercentage: null })), previous), []);
+    });
+});
+
+describe('createChangeTracker', () => {
+    before(() => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+    });
+
+    test('compares runs through the snapshot store and reports delisted products', async () => {
+        const searchUrl = 'https://www.zepto.com/search?query=milk';
+        const otherUrl = 'https://www.zepto.com/search?query=bread';
+
+        const firstRun = createChangeTracker({ log: quietLog });
+        await firstRun.recordListing({
+            platform: 'Zepto',
+            pincode: '411001',
+            searchUrl,
+            complete: true,
+            products: [product(), product({ productId: 'pv-102', currentPrice: 50 })],
+        });
+        await firstRun.recordListing({
+            platform: 'Zepto',
+            pincode: '411001',
+            searchUrl: otherUrl,
+            complete: true,
+            products: [product({ productId: 'pv-201', searchUrl: otherUrl })],
+        });
+        assert.deepEqual(changeTypes(await firstRun.finish()), []);
+
+        // Second run: pv-101 got cheaper, pv-102 vanished, bread was not searched
+        const secondRun = createChangeTracker({ runId: 'run-2', log: quietLog });
+        const events = await secondRun.recordListing({
+            platform: 'Zepto',
+            pincode: '411001',
+            searchUrl,
+            complete: true,
+            products: [product({ currentPrice: 26 }), product({ productId: 'pv-103' }), product({ currentPrice: 1 })],
+        });
+        assert.deepEqual(events.map(e => [e.changeType, e.productId, e.oldValue, e.newValue]), [
+            ['price_down', 'pv-101', 27, 26],
+            ['new_listing', 'pv-103', null, 27],
+        ]);
+
+        const delisted = await secondRun.finish();
+        assert.deepEqual(delisted.map(e => [e.changeType, e.productId, e.oldValue, e.platform, e.pincode, e.runId]), [
+            ['delisted', 'pv-102', 50, 'Zepto', '411001', 'run-2'],
+        ]);
+
+        const { products } = await (await KeyValueStore.open(SNAPSHOT_STORE_NAME)).getValue('Zepto-411001');
+        assert.deepEqual(Object.keys(products).sort(), ['pv-101', 'pv-103', 'pv-201']);
+        assert.equal(products['pv-101'].currentPrice, 26);
+
+        const { items } = await (await Dataset.open(CHANGES_DATASET_NAME)).getData();
+        assert.deepEqual(changeTypes(items).sort(), ['delisted', 'new_listing', 'new_listing', 'new_listing', 'new_listing', 'price_down']);
+    });
+});
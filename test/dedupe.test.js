@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { Configuration, Dataset } from 'crawlee';
+import { LISTING_ROWS_DATASET_NAME, createProductCatalog, mergeListingRows } from '../src/dedupe.js';
+import { DIRECT_URL_QUERY } from '../src/routes.js';
+import { quietLog } from './helpers/browser.js';
+
+const row = (productId, searchQuery, position, overrides) => ({
+    productId,
+    productName: `Product ${productId}`,
+    currentPrice: 27,
+    platform: 'Zepto',
+    pincode: '411001',
+    searchQuery,
+    searchUrl: `https://www.zepto.com/search?query=${encodeURIComponent(searchQuery)}`,
+    categoryPath: null,
+    category: null,
+    position,
+    organicRank: position,
+    sponsoredRank: null,
+    isSponsored: false,
+    ...overrides,
+});
+
+describe('mergeListingRows', () => {
+    test('keeps one record per product and pincode with the listings it was found in', () => {
+        const products = mergeListingRows([
+            row('amul-taaza', 'milk', 3),
+            row('amul-gold', 'milk', 1, { isSponsored: true, organicRank: null, sponsoredRank: 1 }),
+            row('amul-taaza', 'toned milk', 1),
+            row('amul-taaza', 'amul', 2, { currentPrice: 28 }),
+            row('amul-taaza', 'milk', 3, { pincode: '560001' }),
+        ]);
+
+        assert.deepEqual(products, [
+            {
+                productId: 'amul-taaza',
+                productName: 'Product amul-taaza',
+                currentPrice: 27,
+                platform: 'Zepto',
+                pincode: '411001',
+                isSponsored: false,
+                foundIn: [
+                    { query: 'toned milk', rank: 1, isSponsored: false },
+                    { query: 'amul', rank: 2, isSponsored: false },
+                    { query: 'milk', rank: 3, isSponsored: false },
+                ],
+            },
+            {
+                productId: 'amul-gold',
+                productName: 'Product amul-gold',
+                currentPrice: 27,
+                platform: 'Zepto',
+                pincode: '411001',
+                isSponsored: true,
+                foundIn: [{ query: 'milk', rank: 1, isSponsored: true }],
+            },
+            {
+                productId: 'amul-taaza',
+                productName: 'Product amul-taaza',
+                currentPrice: 27,
+                platform: 'Zepto',
+                pincode: '560001',
+                isSponsored: false,
+                foundIn: [{ query: 'milk', rank: 3, isSponsored: false }],
+            },
+        ]);
+    });
+
+    test('names category listings by their path and lists a retried listing once', () => {
+        const [product] = mergeListingRows([
+            row('amul-taaza', null, 4, { category: 'Dairy > Milk', categoryPath: ['Dairy', 'Milk'] }),
+            row('amul-taaza', null, 2, { category: 'Dairy > Milk', categoryPath: ['Dairy', 'Milk'] }),
+        ]);
+        assert.deepEqual(product.foundIn, [{ query: 'Dairy > Milk', rank: 2, isSponsored: false }]);
+    });
+
+    test('names direct URL listings by their URL rather than the placeholder query', () => {
+        const [product] = mergeListingRows([
+            row('amul-taaza', DIRECT_URL_QUERY, 3, { searchUrl: 'https://www.zepto.com/cn/dairy/milk' }),
+            row('amul-taaza', DIRECT_URL_QUERY, 1, { searchUrl: 'https://www.zepto.com/cn/dairy/curd' }),
+        ]);
+        assert.deepEqual(product.foundIn, [
+            { query: 'https://www.zepto.com/cn/dairy/curd', rank: 1, isSponsored: false },
+            { query: 'https://www.zepto.com/cn/dairy/milk', rank: 3, isSponsored: false },
+        ]);
+    });
+});
+
+describe('createProductCatalog', () => {
+    before(() => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+    });
+
+    test('saves the raw rows to their own dataset and the merged products to the default one', async () => {
+        const catalog = createProductCatalog({ log: quietLog });
+        await catalog.addListing([row('amul-taaza', 'milk', 1), row('amul-gold', 'milk', 2)]);
+        await catalog.addListing([row('amul-taaza', 'amul', 1)]);
+        const products = await catalog.finish();
+
+        const { items: rows } = await (await Dataset.open(LISTING_ROWS_DATASET_NAME)).getData();
+        assert.equal(rows.length, 3);
+        assert.deepEqual(rows.map(r => r.searchQuery), ['milk', 'milk', 'amul']);
+
+        const { items } = await (await Dataset.open()).getData();
+        assert.deepEqual(items, products);
+        assert.deepEqual(items.map(p => [p.productId, p.foundIn.map(f => f.query)]), [
+            ['amul-taaza', ['milk', 'amul']],
+            ['amul-gold', ['milk']],
+        ]);
+    });
+});
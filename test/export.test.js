@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { Configuration, Dataset, KeyValueStore } from 'crawlee';
+import initSqlJs from 'sql.js';
+import { CHANGES_DATASET_NAME } from '../src/change-detection.js';
+import {
+    EXPORT_FORMATS, EXPORT_SCHEMA, EXPORT_SCHEMA_KEY, EXPORT_SQLITE_KEY, buildSqlite, exportCsvKey, exportResults, renderCsv, toRows,
+} from '../src/export.js';
+import { MONITOR_DATASET_NAME } from '../src/monitor.js';
+import { quietLog } from './helpers/browser.js';
+
+const LISTING = {
+    productId: 'pv-101',
+    productName: 'Amul Taaza Toned Fresh Milk, "Pouch"',
+    brand: 'Amul',
+    brandConfident: true,
+    currentPrice: 27,
+    originalPrice: null,
+    position: 1,
+    isSponsored: false,
+    searchQuery: 'milk',
+    pincode: '411001',
+    platform: 'Zepto',
+    layout: { x: 0, y: 0 },
+    scrapedAt: '2026-10-19T10:00:00.000Z',
+};
+
+describe('toRows', () => {
+    test('maps records onto the schema columns in order, whatever fields they have', () => {
+        const [row] = toRows('listings', [LISTING], 'run-1');
+        const columns = EXPORT_SCHEMA.tables.listings.map(([name]) => name);
+        const value = (name) => row[columns.indexOf(name)];
+
+        assert.equal(row.length, columns.length);
+        assert.deepEqual(columns.slice(0, 3), ['runId', 'productId', 'pincode']);
+        assert.equal(value('runId'), 'run-1');
+        assert.equal(value('currentPrice'), 27);
+        assert.equal(value('originalPrice'), null);
+        assert.equal(value('brandConfident'), 1);
+        assert.equal(value('isSponsored'), 0);
+        assert.equal(value('category'), null);
+    });
+
+    test('serializes nested detail fields as JSON', () => {
+        const [row] = toRows('details', [{ productId: 'pv-101', images: ['a.jpg', 'b.jpg'], attributes: { Brand: 'Amul' } }], 'run-1');
+        const columns = EXPORT_SCHEMA.tables.details.map(([name]) => name);
+        assert.equal(row[columns.indexOf('images')], '["a.jpg","b.jpg"]');
+        assert.equal(row[columns.indexOf('attributes')], '{"Brand":"Amul"}');
+    });
+});
+
+describe('renderCsv', () => {
+    test('writes a header and quotes cells with commas, quotes or newlines', () => {
+        const csv = renderCsv('listings', toRows('listings', [LISTING], 'run-1'));
+        const [header, line] = csv.replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+
+        assert.ok(csv.startsWith('\uFEFF'));
+        assert.equal(header, EXPORT_SCHEMA.tables.listings.map(([name]) => name).join(','));
+        assert.ok(line.startsWith('run-1,pv-101,411001,Zepto,milk,,,1,'));
+        assert.ok(line.includes(',"Amul Taaza Toned Fresh Milk, ""Pouch""",Amul,,true,'));
+    });
+});
+
+describe('buildSqlite', () => {
+    test('creates every table with the schema version, empty ones included', async () => {
+        const database = await buildSqlite({ listings: toRows('listings', [LISTING], 'run-1') }, { runId: 'run-1', exportedAt: '2026-10-19T11:00:00.000Z' });
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(database);
+
+        assert.deepEqual(db.exec('PRAGMA user_version')[0].values, [[EXPORT_SCHEMA.version]]);
+        assert.deepEqual(db.exec('SELECT value FROM exportInfo WHERE key = \'runId\'')[0].values, [['run-1']]);
+        for (const [table, columns] of Object.entries(EXPORT_SCHEMA.tables)) {
+            const info = db.exec(`PRAGMA table_info(${table})`)[0].values;
+            assert.deepEqual(info.map(column => column[1]), columns.map(([name]) => name));
+        }
+        assert.deepEqual(db.exec('SELECT runId, productId, pincode, currentPrice, isSponsored FROM listings')[0].values, [['run-1', 'pv-101', '411001', 27, 0]]);
+        assert.deepEqual(db.exec('SELECT COUNT(*) FROM details')[0].values, [[0]]);
+        db.close();
+    });
+});
+
+describe('exportResults', () => {
+    before(() => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+    });
+
+    test('exports this run\'s rows as CSV and SQLite and skips other runs', async () => {
+        const monitored = {
+            productId: 'pv-101', productName: 'Amul Taaza Toned Fresh Milk', status: 'available', delistedReason: null,
+            currentPrice: 27, pincode: '411001', platform: 'Zepto', scrapedAt: '2026-10-19T10:00:00.000Z',
+        };
+        await Dataset.pushData([
+            { ...LISTING, runId: 'run-2' },
+            { ...LISTING, productId: 'pv-102', runId: 'run-1' },
+        ]);
+        await (await Dataset.open(MONITOR_DATASET_NAME)).pushData({ ...monitored, runId: 'run-2' });
+        await (await Dataset.open(CHANGES_DATASET_NAME)).pushData([
+            { changeType: 'price_down', productId: 'pv-101', pincode: '411001', oldValue: 29, newValue: 27, detectedAt: '2026-10-19T10:00:00.000Z', runId: 'run-2' },
+            // An overlapping run writing after this one started
+            { changeType: 'price_up', productId: 'pv-101', pincode: '411001', oldValue: 28, newValue: 29, detectedAt: '2026-10-19T10:05:00.000Z', runId: 'run-3' },
+        ]);
+
+        const rows = await exportResults({
+            runId: 'run-2', formats: [EXPORT_FORMATS.CSV, EXPORT_FORMATS.SQLITE], log: quietLog,
+        });
+
+        assert.equal(rows.listings.length, 1);
+        assert.equal(rows.details.length, 0);
+        assert.equal(rows.changes.length, 1);
+        assert.deepEqual(rows.monitor, toRows('monitor', [monitored], 'run-2'));
+        assert.deepEqual(await KeyValueStore.getValue(EXPORT_SCHEMA_KEY), EXPORT_SCHEMA);
+        assert.ok((await KeyValueStore.getValue(exportCsvKey('changes'))).includes('run-2,pv-101,411001,,price_down,,29,27,'));
+        assert.ok((await KeyValueStore.getValue(exportCsvKey('monitor'))).includes('run-2,pv-101,411001,Zepto,Amul Taaza Toned Fresh Milk,,available,,27,'));
+        assert.ok(await KeyValueStore.getValue(exportCsvKey('listings')));
+        assert.equal(await KeyValueStore.getValue(exportCsvKey('details')), null);
+        assert.ok(Buffer.isBuffer(await KeyValueStore.getValue(EXPORT_SQLITE_KEY)));
+    });
+});
@@ -0,0 +1,58 @@
+// Simulates Zepto's address modal for the offline fixtures; the fixture server injects it into every page.
+// The chosen address is kept in localStorage so it survives reloads, like the site's own state.
+(() => {
+    // What the user picks vs. what the header ends up showing: "Camp" resolves to another pincode
+    const ADDRESSES = [
+        { text: 'Camp, Pune, Maharashtra 411001', applies: 'Camp, Pune 411040' },
+        { text: 'Agarkar Nagar, Pune, Maharashtra 411001', applies: 'Agarkar Nagar, Pune 411001' },
+        { text: 'Shivajinagar, Pune, Maharashtra 411005', applies: 'Shivajinagar, Pune 411005' },
+        { text: 'Kothrud, Pune, Maharashtra 411038', applies: 'Kothrud Depot, Pune 411029' },
+    ];
+
+    // Pages without a location button (fragments, captured error pages) are left alone
+    const button = document.querySelector('button[aria-label="Select Location"], button.__4y7HY');
+    if (!button) return;
+    const header = document.querySelector('[data-testid="user-address"]') || button;
+
+    // The site renders the modal on demand, so captured pages do not carry one
+    const modal = document.createElement('div');
+    modal.id = 'address-modal';
+    modal.setAttribute('data-testid', 'address-modal');
+    // An overlay like the site's: typing into it must not scroll the page and trigger lazy loading
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; background: #fff;';
+    modal.innerHTML = '<div data-testid="address-search-input"><input type="text" placeholder="Search a new address"></div><div id="address-results"></div>';
+    const input = modal.querySelector('input');
+    const results = modal.querySelector('#address-results');
+
+    const saved = localStorage.getItem('fixture-location');
+    if (saved) header.textContent = saved;
+
+    button.addEventListener('click', () => {
+        // The site removes the modal from the DOM when closed; mimic it with a detached node
+        document.body.appendChild(modal);
+    });
+
+    let searchTimer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        results.innerHTML = '';
+        const typed = input.value.trim();
+        if (typed.length < 3) return;
+
+        searchTimer = setTimeout(() => {
+            ADDRESSES.filter(address => address.text.slice(-6).startsWith(typed)).forEach(address => {
+                const item = document.createElement('div');
+                item.setAttribute('data-testid', 'address-search-item');
+                item.textContent = address.text;
+                item.addEventListener('click', () => {
+                    localStorage.setItem('fixture-location', address.applies);
+                    header.textContent = address.applies;
+                    results.innerHTML = '';
+                    input.value = '';
+                    modal.remove();
+                });
+                results.appendChild(item);
+            });
+        }, 100);
+    });
+})();
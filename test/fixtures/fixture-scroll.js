@@ -0,0 +1,25 @@
+// Simulates the site's infinite scroll for the offline fixtures; the fixture server injects it into every page.
+// Cards held back in <template data-fixture-more="<container selector>"> are appended two at a time
+// whenever the page is scrolled to the bottom; the end-of-results marker ([data-fixture-end]) shows once none are left.
+(() => {
+    const template = document.querySelector('template[data-fixture-more]');
+    if (!template) return;
+    const results = document.querySelector(template.dataset.fixtureMore);
+    const endMarker = document.querySelector('[data-fixture-end]');
+    const pending = Array.from(template.content.children);
+
+    // Stands in for the site's footer: the page scrolls whatever viewport the browser fingerprint picks
+    document.body.style.paddingBottom = '100vh';
+
+    let loading = false;
+    window.addEventListener('scroll', () => {
+        const atBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 10;
+        if (!atBottom || loading || pending.length === 0) return;
+        loading = true;
+        setTimeout(() => {
+            pending.splice(0, 2).forEach(card => results.appendChild(card));
+            if (endMarker) endMarker.hidden = pending.length > 0;
+            loading = false;
+        }, 300);
+    });
+})();
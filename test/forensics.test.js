@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { Actor } from 'apify';
+import { Configuration } from 'crawlee';
+import { CAPTURE_MODES, createForensics, describeFailure } from '../src/forensics.js';
+import { launchBrowser, openPage, quietLog, skipWithoutBrowser } from './helpers/browser.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+
+const request = (overrides) => ({
+    id: 'req1',
+    url: 'https://www.zepto.com/search?query=milk',
+    uniqueKey: 'zepto|411001|query|milk',
+    label: 'LISTING',
+    retryCount: 0,
+    errorMessages: [],
+    userData: { platform: 'zepto', pincode: '411001', query: 'milk' },
+    ...overrides,
+});
+
+describe('describeFailure', () => {
+    test('lists the request with its reason and linked artifacts', () => {
+        const artifacts = [{ reason: 'timeout', attempt: 1, keys: { html: 'ARTIFACT-req1-0-html' } }];
+        const failure = describeFailure(
+            request({ retryCount: 3, errorMessages: ['timeout', 'boom'], userData: { platform: 'zepto', pincode: '411001', query: 'milk', artifacts } }),
+            new Error('boom'),
+        );
+
+        assert.ok(failure.failedAt);
+        delete failure.failedAt;
+        assert.deepEqual(failure, {
+            url: 'https://www.zepto.com/search?query=milk',
+            label: 'LISTING',
+            platform: 'zepto',
+            pincode: '411001',
+            query: 'milk',
+            reason: 'boom',
+            errorMessages: ['timeout', 'boom'],
+            retryCount: 3,
+            artifacts,
+        });
+    });
+});
+
+describe('createForensics', () => {
+    before(() => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+    });
+
+    test('never touches the page in "never" mode', async () => {
+        const forensics = createForensics({ mode: CAPTURE_MODES.NEVER, log: quietLog });
+        const page = new Proxy({}, { get: () => assert.fail('page was used') });
+
+        await forensics.attach(page);
+        await forensics.onError(page, request(), new Error('boom'));
+        await forensics.onLowProducts(page, request(), 0);
+        await forensics.onSuccess(page, request());
+    });
+
+    test('keeps the failed URL list in the key-value store', async () => {
+        const forensics = createForensics({ mode: CAPTURE_MODES.NEVER, log: quietLog });
+        await forensics.recordFailure(request(), new Error('No products'));
+        await forensics.recordFailure(request({ url: 'https://www.zepto.com/search?query=eggs' }), new Error('Timeout'));
+
+        const failed = await Actor.getValue('FAILED_URLS');
+        assert.deepEqual(failed.map(f => [f.url, f.reason]), [
+            ['https://www.zepto.com/search?query=milk', 'No products'],
+            ['https://www.zepto.com/search?query=eggs', 'Timeout'],
+        ]);
+        assert.equal(forensics.failures.length, 2);
+    });
+});
+
+describe('artifact capture on saved pages', { skip: skipWithoutBrowser }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    test('saves screenshot, HTML, log and trace and links them from the request', async () => {
+        const forensics = createForensics({ mode: CAPTURE_MODES.ON_FAILURE, captureTrace: true, log: quietLog });
+        const page = await openPage(browser);
+        const failing = request({ url: `${server.baseUrl}/search?query=milk`, userData: {} });
+
+        await forensics.attach(page);
+        await page.goto(failing.url);
+        await page.evaluate(() => console.error('widget crashed'));
+        await forensics.onError(page, failing, new Error('No products extracted'));
+
+        const [artifact] = failing.userData.artifacts;
+        assert.equal(artifact.reason, 'No products extracted');
+        assert.deepEqual(Object.keys(artifact.keys).sort(), ['html', 'log', 'screenshot', 'trace']);
+
+        const html = await Actor.getValue(artifact.keys.html);
+        assert.ok(String(html).includes('Amul Taaza Toned Fresh Milk'));
+        const { entries } = await Actor.getValue(artifact.keys.log);
+        assert.ok(entries.some(entry => entry.type === 'console' && entry.text === 'widget crashed'));
+
+        await page.context().close();
+    });
+});
@@ -0,0 +1,39 @@
+import { existsSync } from 'node:fs';
+import { chromium } from 'playwright';
+
+// A missing Chromium fails the browser tests; SKIP_BROWSER_TESTS=1 skips them instead, on purpose only
+export const browserAvailable = existsSync(chromium.executablePath());
+export const skipWithoutBrowser = !browserAvailable && process.env.SKIP_BROWSER_TESTS === '1'
+    ? 'Playwright Chromium is not installed and SKIP_BROWSER_TESTS=1 is set'
+    : false;
+
+/**
+ * Throws unless Playwright's Chromium is installed, so browser suites fail with the fix in the message.
+ */
+export function assertBrowserAvailable() {
+    if (!browserAvailable) {
+        throw new Error('Playwright Chromium is not installed: run `npx playwright install chromium`, or set SKIP_BROWSER_TESTS=1 to skip the browser tests');
+    }
+}
+
+// Silent stand-in for the crawlee logger the scraper functions expect
+export const quietLog = {
+    info: () => {},
+    warning: () => {},
+    error: () => {},
+    debug: () => {},
+};
+
+/**
+ * Opens a page in a fresh context; requests to the live CDNs are aborted so tests stay offline.
+ */
+export async function openPage(browser) {
+    const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
+    await context.route(/^https?:\/\/(?!127\.0\.0\.1)/, route => route.abort());
+    return context.newPage();
+}
+
+export function launchBrowser() {
+    assertBrowserAvailable();
+    return chromium.launch({ headless: true });
+}
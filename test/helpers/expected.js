@@ -0,0 +1,22 @@
+export const CDN = 'https://cdn.zeptonow.com/production';
+
+// Cards of zepto-search.html in on-screen order; the last four are lazy-loaded
+export const SEARCH_FIXTURE_PRODUCTS = [
+    { productId: 'pv-101', productSlug: 'amul-taaza-toned-fresh-milk', productName: 'Amul Taaza Toned Fresh Milk', productImage: `${CDN}/amul-taaza.jpg`, currentPrice: 27, originalPrice: 29, discountPercentage: 7, productWeight: '500 ml', rating: 4.6, isSponsored: false, isOutOfStock: false },
+    { productId: 'pv-102', productSlug: 'nandini-goodlife-toned-milk', productName: 'Nandini GoodLife Toned Milk', productImage: `${CDN}/nandini.jpg`, currentPrice: 1050, originalPrice: 1200, discountPercentage: 13, productWeight: '1 L', rating: null, isSponsored: true, isOutOfStock: false },
+    { productId: 'pv-103', productSlug: 'gowardhan-cow-milk', productName: 'Gowardhan Cow Milk', productImage: `${CDN}/gowardhan.jpg`, currentPrice: 140, originalPrice: null, discountPercentage: null, productWeight: '2 x 1 L', rating: 4.2, isSponsored: false, isOutOfStock: true },
+    { productId: 'pv-104', productSlug: 'mother-dairy-full-cream-milk', productName: 'Mother Dairy Full Cream Milk', productImage: `${CDN}/mother-dairy.jpg`, currentPrice: 396.5, originalPrice: 420, discountPercentage: 6, productWeight: 'Pack of 6', rating: null, isSponsored: false, isOutOfStock: false },
+    { productId: 'pv-105', productSlug: 'amul-gold-full-cream-milk', productName: 'Amul Gold Full Cream Milk', productImage: `${CDN}/amul-gold.jpg`, currentPrice: 34, originalPrice: null, discountPercentage: null, productWeight: '1 pc (approx. 450-600 g)', rating: null, isSponsored: false, isOutOfStock: false },
+    { productId: 'pv-106', productSlug: 'akshayakalpa-organic-milk', productName: 'Akshayakalpa Organic Milk', productImage: `${CDN}/akshayakalpa.jpg`, currentPrice: 50, originalPrice: 55, discountPercentage: 9, productWeight: '500 ml', rating: 4.8, isSponsored: true, isOutOfStock: false },
+    { productId: 'pv-107', productSlug: 'chitale-buffalo-milk', productName: 'Chitale Buffalo Milk', productImage: `${CDN}/chitale.jpg`, currentPrice: 36, originalPrice: null, discountPercentage: null, productWeight: '500 ml', rating: null, isSponsored: false, isOutOfStock: false },
+    { productId: 'pv-108', productSlug: 'epigamia-lactose-free-milk', productName: 'Epigamia Lactose Free Milk', productImage: `${CDN}/epigamia.jpg`, currentPrice: 60, originalPrice: 60, discountPercentage: null, productWeight: '250 ml', rating: null, isSponsored: false, isOutOfStock: false },
+];
+
+export function withProductUrls(products, baseUrl) {
+    return products.map(product => ({ ...product, productUrl: `${baseUrl}/pn/${product.productSlug}/pvid/${product.productId}` }));
+}
+
+// Drops what differs from run to run: timestamps and on-screen pixel positions
+export function comparable(records) {
+    return records.map(({ scrapedAt, layout, scrollDepth, ...rest }) => rest);
+}
@@ -0,0 +1,58 @@
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Site paths mapped onto the saved pages, mirroring Zepto's URL layout
+const ROUTES = [
+    { pattern: /^\/fixture-location\.js$/, file: 'fixture-location.js', type: 'text/javascript' },
+    { pattern: /^\/fixture-scroll\.js$/, file: 'fixture-scroll.js', type: 'text/javascript' },
+    { pattern: /^\/$/, file: 'zepto-home.html', type: 'text/html' },
+    { pattern: /^\/search$/, file: 'zepto-search.html', type: 'text/html' },
+    { pattern: /^\/search-variants$/, file: 'zepto-variants.html', type: 'text/html' },
+    { pattern: /^\/cn\//, file: 'zepto-category.html', type: 'text/html' },
+    { pattern: /^\/pn\//, file: 'zepto-product.html', type: 'text/html' },
+];
+
+// Stand-ins for the site's own bundles, which captured pages are saved without
+const HARNESS_SCRIPTS = ['/fixture-location.js', '/fixture-scroll.js'];
+
+/**
+ * Adds the harness scripts to the end of a page's body.
+ */
+function withHarness(html) {
+    const tags = HARNESS_SCRIPTS.map(src => `<script src="${src}"></script>`).join('\n');
+    return html.includes('</body>') ? html.replace('</body>', `${tags}\n</body>`) : `${html}\n${tags}\n`;
+}
+
+/**
+ * Serves the saved fixtures, HTML pages with the harness scripts injected, on a random local port.
+ * Resolves to `{ baseUrl, close }`.
+ */
+export async function startFixtureServer() {
+    const server = createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = ROUTES.find(r => r.pattern.test(pathname));
+
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+
+        const file = await readFile(path.join(FIXTURES_DIR, route.file));
+        const body = route.type === 'text/html' ? withHarness(file.toString('utf8')) : file;
+        res.writeHead(200, { 'Content-Type': `${route.type}; charset=utf-8` });
+        res.end(body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
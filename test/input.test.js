@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { INPUT_SCHEMA, validateInput } from '../src/input.js';
+
+describe('validateInput', () => {
+    test('accepts a full valid input and the schema defaults', () => {
+        assert.deepEqual(validateInput({}), []);
+        assert.deepEqual(validateInput(Object.fromEntries(
+            Object.entries(INPUT_SCHEMA.properties).map(([key, property]) => [key, property.default]),
+        )), []);
+        assert.deepEqual(validateInput({
+            searchQueries: ['milk', 'bread'],
+            searchUrls: [
+                'https://www.zepto.com/search?query=milk',
+                'https://www.zepto.com/cn/dairy-bread-eggs/milk/cid/c-dairy/scid/s-milk',
+                'https://blinkit.com/s/?q=eggs',
+            ],
+            platforms: ['zepto', 'blinkit'],
+            pincodes: ['411001', '560001'],
+            maxProductsPerSearch: 20,
+            captureArtifacts: 'always',
+            proxyConfiguration: { useApifyProxy: true, apifyProxyGroups: ['RESIDENTIAL'] },
+        }), []);
+    });
+
+    test('rejects unknown keys and suggests the intended option', () => {
+        assert.deepEqual(validateInput({ scrollcount: 5, pincdes: ['411001'], foo: 1 }), [
+            'Unknown input option "scrollcount", did you mean "scrollCount"?',
+            'Unknown input option "pincdes", did you mean "pincodes"?',
+            'Unknown input option "foo"',
+        ]);
+    });
+
+    test('rejects invalid pincodes', () => {
+        assert.deepEqual(validateInput({ pincode: '41100', pincodes: ['411001', '011001', 'abcdef'] }), [
+            '"pincode" must be a 6-digit Indian pincode, got "41100"',
+            '"pincodes[1]" must be a 6-digit Indian pincode, got "011001"',
+            '"pincodes[2]" must be a 6-digit Indian pincode, got "abcdef"',
+        ]);
+    });
+
+    test('rejects malformed, foreign and non-listing URLs', () => {
+        assert.deepEqual(validateInput({
+            searchUrls: [
+                'zepto.com/search?query=milk',
+                'ftp://www.zepto.com/search?query=milk',
+                'https://www.amazon.in/s?k=milk',
+                'https://www.zepto.com/pn/amul-taaza/pvid/pv-101',
+                'https://www.zepto.com/search',
+            ],
+        }), [
+            '"searchUrls[0]" is not a valid URL: "zepto.com/search?query=milk"',
+            '"searchUrls[1]" must be an http(s) URL, got "ftp://www.zepto.com/search?query=milk"',
+            '"searchUrls[2]" is not a Zepto or Blinkit URL: "https://www.amazon.in/s?k=milk"',
+            '"searchUrls[3]" is not a Zepto search or category listing URL: "https://www.zepto.com/pn/amul-taaza/pvid/pv-101"',
+            '"searchUrls[4]" is not a Zepto search or category listing URL: "https://www.zepto.com/search"',
+        ]);
+    });
+
+    test('rejects monitored products that are neither IDs nor product URLs', () => {
+        assert.deepEqual(validateInput({
+            monitorProducts: ['pv-101', 'https://www.zepto.com/pn/amul-taaza/pvid/pv-101', 'https://www.zepto.com/search?query=milk', ''],
+        }), [
+            '"monitorProducts[2]" is neither a product ID nor a product page URL of a platform that supports monitoring: "https://www.zepto.com/search?query=milk"',
+            '"monitorProducts[3]" is neither a product ID nor a product page URL of a platform that supports monitoring: ""',
+        ]);
+    });
+
+    test('rejects incomplete watchlist items and non-http webhooks', () => {
+        assert.deepEqual(validateInput({
+            watchlist: [
+                { productId: 'pv-101', pincode: '411001', targetPrice: 25, alertOnStockChange: true },
+                { productUrl: 'https://www.zepto.com/pn/amul-taaza/pvid/pv-101', alertOnStockChange: true },
+                { pincode: '411001', targetPrice: -1 },
+                { productId: 'pv-102' },
+                'pv-103',
+            ],
+            alertWebhookUrl: 'hooks.example.com/alerts',
+        }), [
+            '"watchlist[2]" needs a "productId" or a "productUrl"',
+            '"watchlist[2].targetPrice" must be a non-negative number, got -1',
+            '"watchlist[3]" needs a "targetPrice" or "alertOnStockChange": true',
+            '"watchlist[4]" must be an object, got string',
+            '"alertWebhookUrl" must be an http(s) URL, got "hooks.example.com/alerts"',
+        ]);
+    });
+
+    test('checks types, ranges and enums from the schema', () => {
+        assert.deepEqual(validateInput({
+            maxProductsPerSearch: 0,
+            scrollCount: '10',
+            navigationTimeout: 1.5,
+            headless: 'yes',
+            captureArtifacts: 'sometimes',
+            platforms: ['zepto', 'swiggy'],
+            searchQueries: ['milk', 42],
+        }), [
+            '"maxProductsPerSearch" must be at least 1, got 0',
+            '"scrollCount" must be an integer, got string',
+            '"navigationTimeout" must be an integer, got number',
+            '"headless" must be a boolean, got string',
+            '"captureArtifacts" must be one of never, onFailure, onLowProducts, always, got "sometimes"',
+            '"platforms[1]" must be one of zepto, blinkit, got "swiggy"',
+            '"searchQueries[1]" must be a string, got integer',
+        ]);
+        assert.deepEqual(validateInput({ brandAliases: { Amul: ['AMUL'], Nandini: 'KMF' } }), [
+            '"brandAliases.Nandini" must be a list of alias strings',
+        ]);
+        assert.deepEqual(validateInput({ resourcePolicy: { detail: { image: 'allow', video: 'block', font: 'drop' }, screenshots: {}, evidence: 'allow' } }), [
+            '"resourcePolicy.detail.video" is not a resource kind, use one of image, media, font, tracker',
+            '"resourcePolicy.detail.font" must be one of allow, block, stub, got "drop"',
+            '"resourcePolicy.screenshots" is not a mode, use one of listing, detail, evidence',
+            '"resourcePolicy.evidence" must be an object of resource kinds to actions, got string',
+        ]);
+        assert.deepEqual(validateInput(['milk']), ['Input must be a JSON object, got array']);
+    });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { Configuration, KeyValueStore } from 'crawlee';
+import {
+    LOCATION_STATE_STORE_NAME,
+    applyLocationState,
+    dropLocationState,
+    expiredCookieNames,
+    filterStorageState,
+    loadLocationState,
+    saveLocationState,
+} from '../src/location-state.js';
+import { zeptoAdapter } from '../src/platforms/zepto.js';
+
+const STORAGE_STATE = {
+    cookies: [
+        { name: 'storeId', value: 'store-1', domain: '.zepto.com', path: '/' },
+        { name: 'session', value: 'abc', domain: 'www.zeptonow.com', path: '/' },
+        { name: '_ga', value: 'GA1', domain: '.google.com', path: '/' },
+    ],
+    origins: [
+        { origin: 'https://www.zepto.com', localStorage: [{ name: 'user-position', value: '{"pincode":"411005"}' }] },
+        { origin: 'https://accounts.google.com', localStorage: [{ name: 'x', value: 'y' }] },
+    ],
+};
+
+// Just enough of a Playwright page for the state helpers
+function fakePage(url = 'https://www.zepto.com/search?query=milk') {
+    const calls = { cookies: [], localStorage: null };
+    return {
+        calls,
+        url: () => url,
+        context: () => ({
+            storageState: async () => STORAGE_STATE,
+            addCookies: async (cookies) => calls.cookies.push(...cookies),
+        }),
+        evaluate: async (fn, items) => {
+            calls.localStorage = items;
+        },
+    };
+}
+
+describe('filterStorageState', () => {
+    test('keeps the cookies and origins of the platform only', () => {
+        assert.deepEqual(filterStorageState(STORAGE_STATE, zeptoAdapter), {
+            cookies: STORAGE_STATE.cookies.slice(0, 2),
+            origins: STORAGE_STATE.origins.slice(0, 1),
+        });
+    });
+});
+
+describe('saved location states', () => {
+    before(() => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+    });
+
+    test('are saved per platform and pincode, reused and dropped', async () => {
+        assert.equal(await loadLocationState(zeptoAdapter, '411005'), null);
+
+        const saved = await saveLocationState(fakePage(), zeptoAdapter, '411005', 'Shivajinagar, Pune');
+        assert.equal(saved.locality, 'Shivajinagar, Pune');
+        assert.deepEqual(await loadLocationState(zeptoAdapter, '411005'), saved);
+
+        const stored = await (await KeyValueStore.open(LOCATION_STATE_STORE_NAME)).getValue('zepto-411005');
+        assert.deepEqual(stored.storageState, filterStorageState(STORAGE_STATE, zeptoAdapter));
+
+        await dropLocationState(zeptoAdapter, '411005');
+        assert.equal(await loadLocationState(zeptoAdapter, '411005'), null);
+        assert.equal(await (await KeyValueStore.open(LOCATION_STATE_STORE_NAME)).getValue('zepto-411005'), null);
+    });
+
+    test('are stale once a cookie with an expiry date has expired', () => {
+        const now = Date.parse('2026-03-01T00:00:00.000Z');
+        const state = {
+            storageState: {
+                cookies: [
+                    { name: 'storeId', value: 'store-1', expires: now / 1000 + 3600 },
+                    { name: 'session', value: 'abc', expires: -1 },
+                    { name: 'position', value: '411005', expires: now / 1000 - 60 },
+                ],
+                origins: [],
+            },
+        };
+        assert.deepEqual(expiredCookieNames(state, now), ['position']);
+    });
+
+    test('are applied as cookies and localStorage of the current origin', async () => {
+        const page = fakePage();
+        await applyLocationState(page, { storageState: filterStorageState(STORAGE_STATE, zeptoAdapter) });
+
+        assert.deepEqual(page.calls.cookies.map(c => c.name), ['storeId', 'session']);
+        assert.deepEqual(page.calls.localStorage, [{ name: 'user-position', value: '{"pincode":"411005"}' }]);
+    });
+});
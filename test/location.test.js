@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { locationMatches, parseLocationText } from '../src/location.js';
+import { zeptoAdapter } from '../src/platforms/zepto.js';
+import { launchBrowser, openPage, quietLog, skipWithoutBrowser } from './helpers/browser.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+
+describe('parseLocationText', () => {
+    test('splits locality and pincode and drops the ETA', () => {
+        assert.deepEqual(parseLocationText('Delivery in 10 mins\nShivajinagar, Pune 411005'), {
+            text: 'Delivery in 10 mins Shivajinagar, Pune 411005',
+            locality: 'Shivajinagar, Pune',
+            pincode: '411005',
+        });
+    });
+
+    test('keeps truncated localities without a pincode', () => {
+        assert.deepEqual(parseLocationText('Koregaon Park, Pune...'), {
+            text: 'Koregaon Park, Pune...',
+            locality: 'Koregaon Park, Pune',
+            pincode: null,
+        });
+    });
+
+    test('handles a missing header', () => {
+        assert.deepEqual(parseLocationText(null), { text: null, locality: null, pincode: null });
+    });
+});
+
+describe('locationMatches', () => {
+    test('compares pincodes when the header shows one', () => {
+        assert.equal(locationMatches(parseLocationText('Camp, Pune 411040'), '411001', 'Camp, Pune 411001'), false);
+        assert.equal(locationMatches(parseLocationText('Camp, Pune 411001'), '411001', 'Camp, Pune 411001'), true);
+    });
+
+    test('falls back to the clicked suggestion when the header has no pincode', () => {
+        const applied = parseLocationText('Koregaon Park, Pune...');
+        assert.equal(locationMatches(applied, '411001', 'Koregaon Park, Pune, Maharashtra 411001'), true);
+        assert.equal(locationMatches(applied, '411001', 'Koregaon Park, Pune, Maharashtra 411036'), false);
+        assert.equal(locationMatches(applied, '411001', 'Camp, Pune, Maharashtra 411001'), false);
+    });
+});
+
+describe('setPincode flow on the fixture address modal', { skip: skipWithoutBrowser }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    async function setLocationOnFreshPage(targetPincode) {
+        const page = await openPage(browser);
+        try {
+            await page.goto(`${server.baseUrl}/search?query=milk`);
+            return await zeptoAdapter.setLocation(page, quietLog, targetPincode);
+        } finally {
+            await page.context().close();
+        }
+    }
+
+    test('applies and verifies the suggestion for the pincode', async () => {
+        assert.deepEqual(await setLocationOnFreshPage('411005'), {
+            success: true,
+            locality: 'Shivajinagar, Pune',
+            resolvedPincode: '411005',
+        });
+    });
+
+    test('retries with the next suggestion after a location mismatch', async () => {
+        assert.deepEqual(await setLocationOnFreshPage('411001'), {
+            success: true,
+            locality: 'Agarkar Nagar, Pune',
+            resolvedPincode: '411001',
+        });
+    });
+
+    test('fails with a location mismatch when no suggestion resolves to the pincode', async () => {
+        assert.deepEqual(await setLocationOnFreshPage('411038'), {
+            success: false,
+            reason: 'location mismatch: header shows "Kothrud Depot, Pune 411029" instead of 411038',
+        });
+    });
+
+    test('fails when the pincode has no suggestions', async () => {
+        assert.deepEqual(await setLocationOnFreshPage('560001'), {
+            success: false,
+            reason: 'no address results appeared',
+        });
+    });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { MONITOR_STATUSES, delistedReason, resolveMonitorTarget, toMonitorRecord } from '../src/monitor.js';
+import { blinkitAdapter } from '../src/platforms/blinkit.js';
+import { zeptoAdapter } from '../src/platforms/zepto.js';
+
+describe('resolveMonitorTarget', () => {
+    test('sends product IDs to every selected platform that can monitor', () => {
+        assert.deepEqual(resolveMonitorTarget(' pv-101 ', [zeptoAdapter, blinkitAdapter]), [
+            { adapter: zeptoAdapter, productId: 'pv-101', url: 'https://www.zepto.com/pn/product/pvid/pv-101' },
+        ]);
+        assert.deepEqual(resolveMonitorTarget('pv-101', [blinkitAdapter]), []);
+    });
+
+    test('sends product URLs to the platform that serves them', () => {
+        const url = 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101';
+        assert.deepEqual(resolveMonitorTarget(url, [blinkitAdapter]), [{ adapter: zeptoAdapter, productId: 'pv-101', url }]);
+        assert.deepEqual(resolveMonitorTarget('https://www.zepto.com/search?query=milk', [zeptoAdapter]), []);
+        assert.deepEqual(resolveMonitorTarget('https://www.amazon.in/dp/B0123', [zeptoAdapter]), []);
+    });
+});
+
+describe('delistedReason', () => {
+    test('treats missing pages, redirects and empty product pages as delisted', () => {
+        const offer = { productName: 'Amul Taaza Toned Fresh Milk', currentPrice: 27 };
+        assert.equal(delistedReason({ status: 404, adapter: zeptoAdapter }), 'HTTP 404');
+        assert.equal(delistedReason({ status: 200, adapter: zeptoAdapter }), null);
+        assert.equal(delistedReason({ finalUrl: 'https://www.zepto.com/', adapter: zeptoAdapter, offer }), 'redirected to https://www.zepto.com/');
+        assert.equal(delistedReason({ finalUrl: 'https://www.zepto.com/pn/amul/pvid/pv-101', adapter: zeptoAdapter, offer }), null);
+        assert.equal(delistedReason({ finalUrl: 'https://www.zepto.com/pn/amul/pvid/pv-101', adapter: zeptoAdapter, offer: { productName: null, currentPrice: null } }), 'page shows no product');
+    });
+});
+
+describe('toMonitorRecord', () => {
+    const base = { productId: 'pv-101', url: 'https://www.zepto.com/pn/product/pvid/pv-101', adapter: zeptoAdapter, pincode: '411001', resolvedLocality: 'Agarkar Nagar, Pune' };
+
+    test('records the offer of an available product', () => {
+        const { scrapedAt, ...record } = toMonitorRecord({
+            ...base,
+            offer: { productName: 'Amul Taaza Toned Fresh Milk', currentPrice: 27, originalPrice: 29, isOutOfStock: false, deliveryTime: '11 minutes', offerTexts: ['₹25 with Pass'] },
+        });
+        assert.deepEqual(record, {
+            productId: 'pv-101',
+            productName: 'Amul Taaza Toned Fresh Milk',
+            productUrl: base.url,
+            status: MONITOR_STATUSES.AVAILABLE,
+            delistedReason: null,
+            currentPrice: 27,
+            originalPrice: 29,
+            discountPercentage: 7,
+            isOutOfStock: false,
+            deliveryTime: '11 minutes',
+            membershipPrice: 25,
+            membershipProgram: 'Zepto Pass',
+            maxOrderQuantity: null,
+            offers: [{ type: 'membership_price', text: '₹25 with Pass', program: 'Zepto Pass', price: 25 }],
+            platform: 'Zepto',
+            pincode: '411001',
+            resolvedLocality: 'Agarkar Nagar, Pune',
+        });
+    });
+
+    test('records a delisted product with its reason', () => {
+        const record = toMonitorRecord({ ...base, resolvedLocality: null, reason: 'HTTP 404' });
+        assert.equal(record.status, MONITOR_STATUSES.DELISTED);
+        assert.equal(record.delistedReason, 'HTTP 404');
+        assert.equal(record.currentPrice, null);
+        assert.equal(record.isOutOfStock, null);
+    });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { OFFER_TYPES, offerFields, parseOfferBadge } from '../src/offers.js';
+
+describe('parseOfferBadge', () => {
+    test('reads the known promotion shapes and keeps the badge text', () => {
+        const cases = [
+            ['₹25 with Zepto Pass', { type: OFFER_TYPES.MEMBERSHIP_PRICE, program: 'Zepto Pass', price: 25 }],
+            ['Pass price ₹1,020', { type: OFFER_TYPES.MEMBERSHIP_PRICE, program: 'Zepto Pass', price: 1020 }],
+            ['Super Saver ₹24', { type: OFFER_TYPES.MEMBERSHIP_PRICE, program: 'Zepto Super Saver', price: 24 }],
+            ['Buy 2 Get 1 Free', { type: OFFER_TYPES.BUY_X_GET_Y, buyQuantity: 2, getQuantity: 1 }],
+            ['Any 3 for ₹99', { type: OFFER_TYPES.COMBO, comboQuantity: 3, comboPrice: 99 }],
+            ['Combo ₹150', { type: OFFER_TYPES.COMBO, comboQuantity: null, comboPrice: 150 }],
+            ['10% off with HDFC Bank Credit Cards', { type: OFFER_TYPES.BANK_OFFER, provider: 'HDFC', discountPercent: 10, discountAmount: null }],
+            ['Flat ₹50 off on Paytm UPI', { type: OFFER_TYPES.BANK_OFFER, provider: 'PAYTM', discountPercent: null, discountAmount: 50 }],
+            ['₹20 off with any Bank card', { type: OFFER_TYPES.BANK_OFFER, provider: null, discountPercent: null, discountAmount: 20 }],
+            ['Zepto Pass card price ₹25', { type: OFFER_TYPES.MEMBERSHIP_PRICE, program: 'Zepto Pass', price: 25 }],
+            // What members save is a discount, not their price
+            ['Save ₹5 with Pass', { type: OFFER_TYPES.MEMBERSHIP_DISCOUNT, program: 'Zepto Pass', discountPercent: null, discountAmount: 5 }],
+            ['Extra 10% off for Super Saver members', { type: OFFER_TYPES.MEMBERSHIP_DISCOUNT, program: 'Zepto Super Saver', discountPercent: 10, discountAmount: null }],
+            ['Extra 5% Off', { type: OFFER_TYPES.EXTRA_DISCOUNT, discountPercent: 5, discountAmount: null }],
+            ['Extra ₹10 off', { type: OFFER_TYPES.EXTRA_DISCOUNT, discountPercent: null, discountAmount: 10 }],
+            ['Max 2 per order', { type: OFFER_TYPES.QUANTITY_LIMIT, maxOrderQuantity: 2 }],
+            ['Only 3 units per order', { type: OFFER_TYPES.QUANTITY_LIMIT, maxOrderQuantity: 3 }],
+            ['Limit: 4', { type: OFFER_TYPES.QUANTITY_LIMIT, maxOrderQuantity: 4 }],
+            ['Bestseller', { type: OFFER_TYPES.OTHER }],
+            // Stock scarcity, a bare payment method and a percentage are not limits or bank offers
+            ['Only 2 items left', { type: OFFER_TYPES.OTHER }],
+            ['Flat ₹50 off on UPI', { type: OFFER_TYPES.OTHER }],
+            ['Max 50% off', { type: OFFER_TYPES.OTHER }],
+        ];
+        for (const [text, expected] of cases) {
+            assert.deepEqual(parseOfferBadge(`  ${text}\n`), { ...expected, text }, text);
+        }
+    });
+});
+
+describe('offerFields', () => {
+    test('summarizes the badges into record fields', () => {
+        assert.deepEqual(offerFields({}, ['₹25 with Pass', 'Max 2 per order', 'Buy 2 Get 1', 'Max 2  per order', '']), {
+            membershipPrice: 25,
+            membershipProgram: 'Zepto Pass',
+            maxOrderQuantity: 2,
+            offers: [
+                { type: OFFER_TYPES.MEMBERSHIP_PRICE, text: '₹25 with Pass', program: 'Zepto Pass', price: 25 },
+                { type: OFFER_TYPES.QUANTITY_LIMIT, text: 'Max 2 per order', maxOrderQuantity: 2 },
+                { type: OFFER_TYPES.BUY_X_GET_Y, text: 'Buy 2 Get 1', buyQuantity: 2, getQuantity: 1 },
+            ],
+        });
+    });
+
+    test('prefers values the API reported and defaults to no offers', () => {
+        assert.deepEqual(offerFields({ membershipPrice: 24, maxOrderQuantity: 5 }, ['₹25 with Pass']), {
+            membershipPrice: 24,
+            membershipProgram: 'Zepto Pass',
+            maxOrderQuantity: 5,
+            offers: [{ type: OFFER_TYPES.MEMBERSHIP_PRICE, text: '₹25 with Pass', program: 'Zepto Pass', price: 25 }],
+        });
+        assert.deepEqual(offerFields({}), { membershipPrice: null, membershipProgram: null, maxOrderQuantity: null, offers: [] });
+        assert.equal(offerFields({}, ['Save ₹5 with Pass']).membershipPrice, null);
+    });
+});
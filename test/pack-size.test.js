@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { computeUnitPrice, packSizeFields, parsePackSize } from '../src/pack-size.js';
+
+describe('parsePackSize', () => {
+    test('parses single, multipack and piece sizes', () => {
+        assert.deepEqual(parsePackSize('500 ml'), {
+            packQuantity: 500, packUnit: 'ml', packCount: 1, packBaseAmount: 500, packBaseUnit: 'ml', packSizeParsed: true,
+        });
+        assert.deepEqual(parsePackSize('2 x 1 L'), {
+            packQuantity: 1, packUnit: 'l', packCount: 2, packBaseAmount: 2000, packBaseUnit: 'ml', packSizeParsed: true,
+        });
+        assert.deepEqual(parsePackSize('Pack of 6'), {
+            packQuantity: 1, packUnit: 'pc', packCount: 6, packBaseAmount: 6, packBaseUnit: 'pc', packSizeParsed: true,
+        });
+        assert.deepEqual(parsePackSize('1 pc (approx. 450-600 g)'), {
+            packQuantity: 1, packUnit: 'pc', packCount: 1, packBaseAmount: 1, packBaseUnit: 'pc', packSizeParsed: true,
+        });
+    });
+
+    test('normalizes units and multipack spellings', () => {
+        assert.equal(parsePackSize('1.5 kg').packBaseAmount, 1500);
+        assert.equal(parsePackSize('250 mg').packBaseAmount, 0.25);
+        assert.equal(parsePackSize('200 g x 6').packBaseAmount, 1200);
+        assert.equal(parsePackSize('3 × 100 gm').packBaseAmount, 300);
+        assert.equal(parsePackSize('Pack of 2 x 500 ml').packBaseAmount, 1000);
+        assert.equal(parsePackSize('1 Litre').packBaseUnit, 'ml');
+        assert.equal(parsePackSize('12 pieces').packBaseAmount, 12);
+    });
+
+    test('flags sizes it cannot parse instead of guessing', () => {
+        for (const text of ['Combo', '1 bunch', 'approx 3-4 units', '', null]) {
+            assert.equal(parsePackSize(text).packSizeParsed, false, String(text));
+            assert.equal(parsePackSize(text).packBaseAmount, null);
+        }
+    });
+});
+
+describe('computeUnitPrice', () => {
+    test('prices per 100 g, per 100 ml or per piece', () => {
+        assert.deepEqual(computeUnitPrice(27, parsePackSize('500 ml')), { unitPrice: 5.4, unitPriceBasis: 'per 100 ml' });
+        assert.deepEqual(computeUnitPrice(140, parsePackSize('2 x 1 L')), { unitPrice: 7, unitPriceBasis: 'per 100 ml' });
+        assert.deepEqual(computeUnitPrice(55, parsePackSize('1 kg')), { unitPrice: 5.5, unitPriceBasis: 'per 100 g' });
+        assert.deepEqual(computeUnitPrice(396.5, parsePackSize('Pack of 6')), { unitPrice: 66.08, unitPriceBasis: 'per piece' });
+    });
+
+    test('leaves the unit price empty without a price or a parsed size', () => {
+        assert.deepEqual(computeUnitPrice(null, parsePackSize('500 ml')), { unitPrice: null, unitPriceBasis: null });
+        assert.deepEqual(computeUnitPrice(30, parsePackSize('Combo')), { unitPrice: null, unitPriceBasis: null });
+    });
+});
+
+describe('packSizeFields', () => {
+    test('combines the parsed size with the unit price of a record', () => {
+        assert.deepEqual(packSizeFields({ productWeight: '250 ml', currentPrice: 60 }), {
+            packQuantity: 250, packUnit: 'ml', packCount: 1, packBaseAmount: 250, packBaseUnit: 'ml', packSizeParsed: true,
+            unitPrice: 24, unitPriceBasis: 'per 100 ml',
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { assignPlacement, computeGridPositions } from '../src/placement.js';
+
+describe('computeGridPositions', () => {
+    test('groups nearby tops into rows and orders columns by left', () => {
+        assert.deepEqual(computeGridPositions([
+            { top: 100, left: 20 },
+            { top: 104, left: 300 },
+            { top: 98, left: 580 },
+            { top: 500, left: 300 },
+            null,
+            { top: 500, left: 20 },
+            { top: null, left: null },
+        ]), [
+            { gridRow: 1, gridColumn: 1 },
+            { gridRow: 1, gridColumn: 2 },
+            { gridRow: 1, gridColumn: 3 },
+            { gridRow: 2, gridColumn: 2 },
+            { gridRow: null, gridColumn: null },
+            { gridRow: 2, gridColumn: 1 },
+            { gridRow: null, gridColumn: null },
+        ]);
+    });
+});
+
+describe('assignPlacement', () => {
+    test('ranks organic and sponsored cards separately and drops the raw layout', () => {
+        const products = [
+            { productId: 'a', isSponsored: true, layout: { top: 0, left: 0, loadedAtScroll: 0, scrollDepth: 0 } },
+            { productId: 'b', isSponsored: false, layout: { top: 0, left: 200, loadedAtScroll: 0, scrollDepth: 0 } },
+            { productId: 'c', isSponsored: false, layout: { top: 400, left: 0, loadedAtScroll: 2, scrollDepth: 1800 } },
+            { productId: 'd', isSponsored: true, layout: { top: 400, left: 200, loadedAtScroll: 2, scrollDepth: 1800 } },
+            { productId: 'e', isSponsored: false },
+        ];
+
+        assert.deepEqual(assignPlacement(products), [
+            { productId: 'a', isSponsored: true, position: 1, organicRank: null, sponsoredRank: 1, gridRow: 1, gridColumn: 1, loadedAtScroll: 0, scrollDepth: 0 },
+            { productId: 'b', isSponsored: false, position: 2, organicRank: 1, sponsoredRank: null, gridRow: 1, gridColumn: 2, loadedAtScroll: 0, scrollDepth: 0 },
+            { productId: 'c', isSponsored: false, position: 3, organicRank: 2, sponsoredRank: null, gridRow: 2, gridColumn: 1, loadedAtScroll: 2, scrollDepth: 1800 },
+            { productId: 'd', isSponsored: true, position: 4, organicRank: null, sponsoredRank: 2, gridRow: 2, gridColumn: 2, loadedAtScroll: 2, scrollDepth: 1800 },
+            { productId: 'e', isSponsored: false, position: 5, organicRank: 3, sponsoredRank: null, gridRow: null, gridColumn: null, loadedAtScroll: null, scrollDepth: null },
+        ]);
+    });
+
+    test('keeps ranks of the full listing when it is truncated afterwards', () => {
+        const products = Array.from({ length: 30 }, (_, i) => ({ productId: `p${i}`, isSponsored: i % 10 === 0 }));
+        const [last] = assignPlacement(products).slice(0, 25).slice(-1);
+        assert.deepEqual([last.position, last.organicRank, last.sponsoredRank], [25, 22, null]);
+    });
+});
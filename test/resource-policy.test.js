@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { zeptoAdapter } from '../src/platforms/zepto.js';
+import { DEFAULT_RESOURCE_POLICY, POLICY_MODES, classifyRequest, createResourcePolicy, resolveResourcePolicy } from '../src/resource-policy.js';
+import { launchBrowser, openPage, quietLog, skipWithoutBrowser } from './helpers/browser.js';
+import { CDN } from './helpers/expected.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+
+describe('classifyRequest', () => {
+    test('sorts requests into the kinds the policy acts on', () => {
+        assert.equal(classifyRequest('image', 'https://cdn.zeptonow.com/production/amul.jpg'), 'image');
+        assert.equal(classifyRequest('font', 'https://www.zepto.com/fonts/inter.woff2'), 'font');
+        assert.equal(classifyRequest('media', 'https://cdn.zeptonow.com/banner.mp4'), 'media');
+        assert.equal(classifyRequest('script', 'https://www.googletagmanager.com/gtm.js'), 'tracker');
+        assert.equal(classifyRequest('image', 'https://px.ads.doubleclick.net/pixel.gif'), 'tracker');
+        assert.equal(classifyRequest('xhr', 'https://api.zeptonow.com/api/v3/search'), null);
+        assert.equal(classifyRequest('stylesheet', 'https://www.zepto.com/app.css'), null);
+        assert.equal(classifyRequest('script', 'https://notdoubleclick.net/app.js'), null);
+        assert.equal(classifyRequest('image', 'data:image/gif;base64,R0lGOD'), 'image');
+        assert.equal(classifyRequest('image', 'not a url'), null);
+    });
+});
+
+describe('resolveResourcePolicy', () => {
+    test('overrides the defaults kind by kind', () => {
+        const policy = resolveResourcePolicy({ detail: { image: 'allow' } });
+        assert.deepEqual(policy.detail, { ...DEFAULT_RESOURCE_POLICY.detail, image: 'allow' });
+        assert.deepEqual(policy.listing, DEFAULT_RESOURCE_POLICY.listing);
+        assert.deepEqual(resolveResourcePolicy(), DEFAULT_RESOURCE_POLICY);
+    });
+});
+
+describe('resource policy on saved pages', { skip: skipWithoutBrowser }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    test('stubs listing images and still reads their URLs, lazy ones included', async () => {
+        const resources = createResourcePolicy({ log: quietLog });
+        const page = await openPage(browser);
+        await resources.attach(page, { mode: POLICY_MODES.LISTING });
+        await page.goto(`${server.baseUrl}/search?query=milk`);
+
+        const { products } = await zeptoAdapter.extractListing(page);
+        assert.deepEqual(products.map(p => p.productImage), [
+            `${CDN}/amul-taaza.jpg`, `${CDN}/nandini.jpg`, `${CDN}/gowardhan.jpg`, `${CDN}/mother-dairy.jpg`,
+        ]);
+        assert.deepEqual(await page.evaluate(() => Array.from(document.images).filter(img => img.src).map(img => img.naturalWidth)), [1, 1, 1]);
+        assert.deepEqual(resources.finish(), { image: { blocked: 0, stubbed: 3 } });
+        await page.context().close();
+    });
+
+    test('uses the evidence mode on pages that are always captured', async () => {
+        const resources = createResourcePolicy({ policy: { evidence: { image: 'block' } }, captureArtifacts: 'always', log: quietLog });
+        const page = await openPage(browser);
+        await resources.attach(page, { mode: POLICY_MODES.LISTING });
+        await page.goto(`${server.baseUrl}/pn/amul-taaza-toned-fresh-milk/pvid/pv-101`);
+
+        const detail = await zeptoAdapter.extractProductDetail(page);
+        assert.ok(detail.images.includes(`${CDN}/amul-taaza-4.jpg`));
+        assert.equal(resources.finish().image.blocked, 1);
+        await page.context().close();
+    });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { Configuration, Dataset, PlaywrightCrawler, log } from 'crawlee';
+import { packSizeFields } from '../src/pack-size.js';
+import { SESSION_BROWSER_POOL_OPTIONS } from '../src/location.js';
+import { LABELS, createRouter, isWantedCategory } from '../src/routes.js';
+import { assertBrowserAvailable, skipWithoutBrowser } from './helpers/browser.js';
+import { SEARCH_FIXTURE_PRODUCTS, withProductUrls, comparable } from './helpers/expected.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+
+describe('isWantedCategory', () => {
+    test('matches whole names, slugs or whole words of them and accepts everything for "*"', () => {
+        assert.equal(isWantedCategory(['*'], 'Munchies', 'munchies'), true);
+        assert.equal(isWantedCategory(['Dairy, Bread & Eggs'], 'Dairy, Bread & Eggs', 'dairy-bread-eggs'), true);
+        assert.equal(isWantedCategory(['dairy-bread-eggs'], 'Dairy Bread Eggs', 'dairy-bread-eggs'), true);
+        assert.equal(isWantedCategory(['Dairy'], 'Dairy, Bread & Eggs', 'dairy-bread-eggs'), true);
+        assert.equal(isWantedCategory(['Dairy & Breakfast'], 'Dairy, Bread & Eggs', 'dairy-bread-eggs'), false);
+        assert.equal(isWantedCategory(['Cold Drinks'], 'Cold Cuts', 'cold-cuts'), false);
+        assert.equal(isWantedCategory(['Baby Care'], 'Baby Food', 'baby-food'), false);
+        assert.equal(isWantedCategory(['tea'], 'Instant Steak', 'instant-steak'), false);
+        assert.equal(isWantedCategory(['fruits'], 'Fruits & Vegetables', 'fruits-vegetables'), true);
+        assert.equal(isWantedCategory(['Munchies'], 'Dairy, Bread & Eggs', 'dairy-bread-eggs'), false);
+        assert.equal(isWantedCategory([''], 'Dairy, Bread & Eggs', 'dairy-bread-eggs'), false);
+    });
+});
+
+describe('listing crawl against saved pages', { skip: skipWithoutBrowser }, () => {
+    let server;
+
+    before(async () => {
+        assertBrowserAvailable();
+        server = await startFixtureServer();
+        Configuration.getGlobalConfig().set('persistStorage', false);
+        log.setLevel(log.LEVELS.OFF);
+    });
+
+    after(async () => {
+        await server?.close();
+    });
+
+    /**
+     * Crawls the fixture search page through the router at every pincode at once. Resolves to the
+     * listings handed to the change tracker and the browser context each pincode's page ran in.
+     */
+    async function crawlSearch(url, { maxProductsPerSearch = 100, pincodes = ['411005'], keySuffix = '' } = {}) {
+        const listings = [];
+        const contexts = {};
+        const changeTracker = { recordListing: async (listing) => listings.push(listing) };
+        const crawler = new PlaywrightCrawler({
+            maxRequestRetries: 0,
+            minConcurrency: pincodes.length,
+            maxConcurrency: pincodes.length,
+            useSessionPool: true,
+            persistCookiesPerSession: true,
+            browserPoolOptions: SESSION_BROWSER_POOL_OPTIONS,
+            requestHandler: createRouter({ runId: 'run-1', maxProductsPerSearch, scrollCount: 10, scrapeProductDetails: false, categories: [], changeTracker }),
+            preNavigationHooks: [
+                async ({ page, request }) => {
+                    contexts[request.userData.pincode] = page.context();
+                    await page.context().route(/^https?:\/\/(?!127\.0\.0\.1)/, route => route.abort());
+                },
+            ],
+        });
+
+        await crawler.run(pincodes.map(pincode => ({
+            url,
+            uniqueKey: `zepto|${pincode}|query|milk${keySuffix}`,
+            label: LABELS.LISTING,
+            userData: { platform: 'zepto', query: 'milk', pincode },
+        })));
+        return { listings, contexts };
+    }
+
+    test('sets the location and saves every product of the search page', async () => {
+        const url = `${server.baseUrl}/search?query=milk`;
+        const { listings } = await crawlSearch(url);
+        assert.deepEqual(listings.map(listing => listing.complete), [true]);
+
+        const { items } = await (await Dataset.open()).getData();
+        assert.deepEqual(comparable(items), withProductUrls(SEARCH_FIXTURE_PRODUCTS, server.baseUrl).map((product, index) => ({
+            ...product,
+            position: index + 1,
+            organicRank: [1, null, 2, 3, 4, null, 5, 6][index],
+            sponsoredRank: [null, 1, null, null, null, 2, null, null][index],
+            // The fixture grid has four columns
+            gridRow: Math.floor(index / 4) + 1,
+            gridColumn: (index % 4) + 1,
+            loadedAtScroll: [0, 0, 0, 0, 1, 1, 2, 2][index],
+            brand: ['Amul', 'Nandini', 'Gowardhan', 'Mother Dairy', 'Amul', 'Akshayakalpa', 'Chitale', 'Epigamia'][index],
+            brandSource: 'dictionary',
+            brandConfident: true,
+            ...packSizeFields(product),
+            membershipPrice: null,
+            membershipProgram: null,
+            maxOrderQuantity: null,
+            offers: [],
+            source: 'dom',
+            deliveryTime: '11 minutes',
+            searchQuery: 'milk',
+            searchUrl: url,
+            categoryPath: null,
+            category: null,
+            platform: 'Zepto',
+            pincode: '411005',
+            resolvedLocality: 'Shivajinagar, Pune',
+            runId: 'run-1',
+        })));
+    });
+
+    test('does not call a listing cut at maxProductsPerSearch complete', async () => {
+        const { listings } = await crawlSearch(`${server.baseUrl}/search?query=milk`, { maxProductsPerSearch: 6, keySuffix: '|cut' });
+        assert.deepEqual(listings.map(listing => [listing.products.length, listing.complete]), [[6, false]]);
+    });
+
+    test('keeps pincodes crawled at the same time in their own browsers and rows', async () => {
+        const { listings, contexts } = await crawlSearch(`${server.baseUrl}/search?query=milk`, { pincodes: ['411005', '411001'], keySuffix: '|concurrent' });
+
+        assert.notEqual(contexts['411005'].browser(), contexts['411001'].browser());
+        const locations = listings
+            .flatMap(listing => listing.products.map(product => `${product.pincode} ${product.resolvedLocality}`));
+        assert.deepEqual([...new Set(locations)].sort(), ['411001 Agarkar Nagar, Pune', '411005 Shivajinagar, Pune']);
+        assert.deepEqual(listings.map(listing => listing.products.length), [8, 8]);
+    });
+});
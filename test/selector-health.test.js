@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { Configuration, KeyValueStore } from 'crawlee';
+import { SELECTOR_HEALTH_KEY, createSelectorHealth } from '../src/selector-health.js';
+import { quietLog } from './helpers/browser.js';
+
+const adapter = {
+    displayName: 'Zepto',
+    monitoredFields: ['productName', 'productImage', 'currentPrice', 'productWeight'],
+};
+
+const card = (overrides) => ({
+    productName: 'Amul Taaza Toned Fresh Milk',
+    productImage: 'https://cdn.zeptonow.com/production/amul-taaza.jpg',
+    currentPrice: 27,
+    originalPrice: null,
+    productWeight: '500 ml',
+    rating: null,
+    productUrl: 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101',
+    ...overrides,
+});
+
+describe('createSelectorHealth', () => {
+    before(() => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+    });
+
+    test('reports fill rates and merged selector hits per platform', async () => {
+        const health = createSelectorHealth({ minFillRate: 0.5, log: quietLog });
+        health.recordListing(adapter, {
+            products: [card(), card({ rating: 4.2 })],
+            selectorHits: { productName: { 'div[data-slot-id="ProductName"] span': 2 } },
+        });
+        health.recordListing(adapter, {
+            products: [card({ productWeight: null })],
+            selectorHits: { productName: { 'div[data-slot-id="ProductName"] span': 1 }, productImage: { img: 1 } },
+        });
+
+        const report = await health.finish();
+        assert.equal(report.healthy, true);
+        assert.deepEqual(report.problems, []);
+
+        const zepto = report.platforms.Zepto;
+        assert.equal(zepto.listings, 2);
+        assert.equal(zepto.cards, 3);
+        assert.deepEqual(zepto.fields.productWeight, { filled: 2, nullCount: 1, fillRate: 0.667, monitored: true, belowThreshold: false });
+        assert.deepEqual(zepto.fields.rating, { filled: 1, nullCount: 2, fillRate: 0.333, monitored: false, belowThreshold: false });
+        assert.deepEqual(zepto.selectorHits, {
+            productName: { 'div[data-slot-id="ProductName"] span': 3 },
+            productImage: { img: 1 },
+        });
+
+        assert.deepEqual(await KeyValueStore.getValue(SELECTOR_HEALTH_KEY), report);
+    });
+
+    test('flags monitored fields under the threshold and listings without cards', async () => {
+        const health = createSelectorHealth({ minFillRate: 0.8, log: quietLog });
+        health.recordListing(adapter, { products: [card({ currentPrice: null }), card({ currentPrice: null }), card()] });
+        health.recordListing({ ...adapter, displayName: 'Blinkit' }, { products: [] });
+
+        const report = await health.finish();
+        assert.equal(report.healthy, false);
+        assert.deepEqual(report.problems, [
+            'Zepto: currentPrice filled on 33% of 3 cards (minimum 80%)',
+            'Blinkit: no product cards found on 1 listing page(s)',
+        ]);
+        assert.equal(report.platforms.Zepto.fields.currentPrice.belowThreshold, true);
+        assert.equal(report.platforms.Zepto.fields.originalPrice.belowThreshold, false);
+    });
+});
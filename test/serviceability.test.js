@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { zeptoAdapter } from '../src/platforms/zepto.js';
+import { FEE_TYPES, parseEtaMinutes, parseFeeBanner, parseStoreStatus, toServiceabilityRecord } from '../src/serviceability.js';
+
+describe('parseEtaMinutes', () => {
+    test('reads minutes, hours and ranges', () => {
+        assert.equal(parseEtaMinutes('Delivery in 11 minutes'), 11);
+        assert.equal(parseEtaMinutes('10 mins'), 10);
+        assert.equal(parseEtaMinutes('1 hr 5 mins'), 65);
+        assert.equal(parseEtaMinutes('2 hours'), 120);
+        assert.equal(parseEtaMinutes('10-15 mins'), 15);
+        assert.equal(parseEtaMinutes('Select Location'), null);
+        assert.equal(parseEtaMinutes(null), null);
+    });
+});
+
+describe('parseStoreStatus', () => {
+    test('reads closed stores and their opening time', () => {
+        assert.deepEqual(parseStoreStatus('Store closed. Opens at 6:30 AM'), { storeOpen: false, opensAt: '06:30' });
+        assert.deepEqual(parseStoreStatus('We are back at 12 am'), { storeOpen: false, opensAt: '00:00' });
+        assert.deepEqual(parseStoreStatus('Opening at 7 pm today'), { storeOpen: false, opensAt: '19:00' });
+        assert.deepEqual(parseStoreStatus('Store is currently closed'), { storeOpen: false, opensAt: null });
+        assert.deepEqual(parseStoreStatus('Open 24x7'), { storeOpen: true, opensAt: null });
+        assert.deepEqual(parseStoreStatus(null), { storeOpen: null, opensAt: null });
+    });
+});
+
+describe('parseFeeBanner', () => {
+    test('classifies the fee and separates it from the order threshold', () => {
+        assert.deepEqual(parseFeeBanner('₹15 small cart fee on orders below ₹99'), {
+            type: FEE_TYPES.SMALL_CART, text: '₹15 small cart fee on orders below ₹99', amount: 15, threshold: 99,
+        });
+        assert.deepEqual(parseFeeBanner('Add items worth ₹50 more, orders under ₹199 pay a ₹25 fee'), {
+            type: FEE_TYPES.SMALL_CART, text: 'Add items worth ₹50 more, orders under ₹199 pay a ₹25 fee', amount: 50, threshold: 199,
+        });
+        assert.deepEqual(parseFeeBanner('Surge fee ₹20 due to  high demand'), {
+            type: FEE_TYPES.SURGE, text: 'Surge fee ₹20 due to high demand', amount: 20, threshold: null,
+        });
+        assert.equal(parseFeeBanner('Late night fee ₹25').type, FEE_TYPES.SURGE);
+        assert.equal(parseFeeBanner('Handling charge ₹4').type, FEE_TYPES.HANDLING);
+        assert.equal(parseFeeBanner('Delivery fee ₹30').type, FEE_TYPES.DELIVERY);
+        assert.equal(parseFeeBanner('Free delivery today').type, FEE_TYPES.OTHER);
+    });
+});
+
+describe('toServiceabilityRecord', () => {
+    const base = { adapter: zeptoAdapter, pincode: '411005' };
+
+    test('records a served location with its ETA, store status and fees', () => {
+        const { checkedAt, ...record } = toServiceabilityRecord({
+            ...base,
+            resolvedLocality: 'Shivajinagar, Pune',
+            state: {
+                etaText: 'Delivery in 12 mins',
+                unserviceableText: null,
+                storeStatusText: null,
+                feeTexts: ['Surge fee ₹20', '₹15 small cart fee on orders below ₹99'],
+            },
+        });
+
+        assert.ok(!Number.isNaN(Date.parse(checkedAt)));
+        assert.deepEqual(record, {
+            pincode: '411005',
+            platform: 'Zepto',
+            serviceable: true,
+            resolvedLocality: 'Shivajinagar, Pune',
+            unserviceableMessage: null,
+            etaText: 'Delivery in 12 mins',
+            etaMinutes: 12,
+            storeOpen: true,
+            storeMessage: null,
+            opensAt: null,
+            surgeFee: 20,
+            smallCartFee: 15,
+            smallCartThreshold: 99,
+            fees: [
+                { type: FEE_TYPES.SURGE, text: 'Surge fee ₹20', amount: 20, threshold: null },
+                { type: FEE_TYPES.SMALL_CART, text: '₹15 small cart fee on orders below ₹99', amount: 15, threshold: 99 },
+            ],
+            reason: null,
+        });
+    });
+
+    test('records closed stores, unserved areas and unknown locations', () => {
+        const closed = toServiceabilityRecord({ ...base, state: { etaText: null, storeStatusText: 'Store closed. Opens at 6 AM' } });
+        assert.deepEqual([closed.serviceable, closed.storeOpen, closed.opensAt], [true, false, '06:00']);
+
+        const unserved = toServiceabilityRecord({
+            ...base,
+            state: { etaText: '10 mins', unserviceableText: 'Sorry, we do not deliver here yet' },
+            locationError: 'Could not set location to pincode 411005: location mismatch',
+        });
+        assert.deepEqual([unserved.serviceable, unserved.etaMinutes, unserved.unserviceableMessage, unserved.reason],
+            [false, null, 'Sorry, we do not deliver here yet', null]);
+
+        const unknown = toServiceabilityRecord({ ...base, locationError: 'Could not set location to pincode 411005: no address results appeared' });
+        assert.deepEqual([unknown.serviceable, unknown.storeOpen, unknown.reason],
+            [null, null, 'Could not set location to pincode 411005: no address results appeared']);
+    });
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+import { Configuration, Dataset, KeyValueStore } from 'crawlee';
+import { SUMMARY_DATASET_NAME, SUMMARY_HTML_KEY, SUMMARY_KEY, createSummaryCollector, summarizeListing } from '../src/summary.js';
+import { quietLog } from './helpers/browser.js';
+
+const record = (position, overrides) => ({
+    platform: 'Zepto',
+    searchQuery: 'milk',
+    pincode: '411001',
+    resolvedLocality: 'Agarkar Nagar, Pune',
+    deliveryTime: '11 minutes',
+    position,
+    productName: 'Amul Taaza Toned Fresh Milk',
+    brand: null,
+    currentPrice: 27,
+    discountPercentage: null,
+    isSponsored: false,
+    isOutOfStock: false,
+    ...overrides,
+});
+
+const RECORDS = [
+    record(3, { productName: 'Nandini GoodLife Toned Milk', brand: 'Nandini', currentPrice: 50, discountPercentage: 10, isSponsored: true }),
+    record(1, { brand: 'Amul', currentPrice: 27, discountPercentage: 7 }),
+    record(2, { productName: 'Amul Gold Full Cream Milk', brand: 'Amul', currentPrice: 34 }),
+    record(4, { productName: 'Gowardhan Cow Milk', brand: 'Gowardhan', currentPrice: 140, isOutOfStock: true }),
+    record(5, { productName: 'Chitale Buffalo Milk', brand: 'Chitale', currentPrice: null }),
+];
+
+describe('summarizeListing', () => {
+    test('computes brand share over the top N and listing-wide figures', () => {
+        const scroll = { reason: 'target_reached', scrolls: 4, productCount: 42, durationMs: 5200 };
+        assert.deepEqual(summarizeListing(RECORDS, { topN: 3, totalResults: 42, scroll }), {
+            platform: 'Zepto',
+            query: 'milk',
+            pincode: '411001',
+            resolvedLocality: 'Agarkar Nagar, Pune',
+            totalResults: 42,
+            savedResults: 5,
+            topN: 3,
+            brandShareTopN: [
+                { brand: 'Amul', count: 2, share: 0.667 },
+                { brand: 'Nandini', count: 1, share: 0.333 },
+            ],
+            sponsoredShare: 0.2,
+            outOfStockRate: 0.2,
+            medianPrice: 42,
+            minPrice: 27,
+            averageDiscount: 4.3,
+            deliveryTime: '11 minutes',
+            scrollStopReason: 'target_reached',
+            scrolls: 4,
+        });
+    });
+
+    test('counts records without a brand as Unknown', () => {
+        const summary = summarizeListing([record(1, { brand: 'Amul' }), record(2, { brand: null })], { topN: 10 });
+        assert.deepEqual(summary.brandShareTopN, [
+            { brand: 'Amul', count: 1, share: 0.5 },
+            { brand: 'Unknown', count: 1, share: 0.5 },
+        ]);
+    });
+
+    test('counts a multi-variant card once, by its displayed variant', () => {
+        const summary = summarizeListing([
+            record(1, { brand: 'Amul', isDisplayedVariant: true }),
+            record(1, { brand: 'Amul', isDisplayedVariant: false, currentPrice: 54 }),
+            record(2, { brand: 'Nandini' }),
+        ], { topN: 2 });
+
+        assert.equal(summary.totalResults, 2);
+        assert.equal(summary.savedResults, 2);
+        assert.deepEqual(summary.brandShareTopN.map(b => [b.brand, b.count]), [['Amul', 1], ['Nandini', 1]]);
+    });
+
+    test('names the category of category listings and tolerates missing prices', () => {
+        const summary = summarizeListing([record(1, { searchQuery: null, category: 'Dairy > Milk', currentPrice: null })], { topN: 10 });
+        assert.equal(summary.query, 'Dairy > Milk');
+        assert.equal(summary.totalResults, 1);
+        assert.deepEqual([summary.medianPrice, summary.minPrice, summary.averageDiscount], [null, null, null]);
+    });
+});
+
+describe('createSummaryCollector', () => {
+    before(() => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+    });
+
+    test('writes one summary per query and pincode to the dataset and report records', async () => {
+        const collector = createSummaryCollector({ topN: 10, log: quietLog });
+        collector.addListing(RECORDS, 5, { reason: 'end_of_results', scrolls: 2 });
+        collector.addListing(RECORDS.map(r => ({ ...r, pincode: '560001' })), 5);
+        collector.addListing([], 0);
+
+        const summaries = await collector.finish();
+        assert.deepEqual(summaries.map(s => [s.query, s.pincode, s.scrollStopReason]), [['milk', '411001', 'end_of_results'], ['milk', '560001', null]]);
+
+        const { items } = await (await Dataset.open(SUMMARY_DATASET_NAME)).getData();
+        assert.deepEqual(items, summaries);
+        assert.deepEqual((await KeyValueStore.getValue(SUMMARY_KEY)).summaries, summaries);
+
+        const html = await KeyValueStore.getValue(SUMMARY_HTML_KEY);
+        assert.match(String(html), /<td>milk<\/td>/);
+        assert.match(String(html), /Amul 40%/);
+    });
+
+    test('keeps direct URLs without a query apart, named by their URL', async () => {
+        const collector = createSummaryCollector({ topN: 10, log: quietLog });
+        for (const searchUrl of ['https://www.zepto.com/cn/dairy/milk/cid/1/scid/2', 'https://www.zepto.com/cn/dairy/curd/cid/1/scid/3']) {
+            collector.addListing(RECORDS.map(r => ({ ...r, searchQuery: 'direct_url', searchUrl })), 5);
+        }
+
+        const summaries = await collector.finish();
+        assert.deepEqual(summaries.map(s => s.query), [
+            'https://www.zepto.com/cn/dairy/milk/cid/1/scid/2',
+            'https://www.zepto.com/cn/dairy/curd/cid/1/scid/3',
+        ]);
+    });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { expandVariants } from '../src/variants.js';
+
+const CARD = {
+    productId: 'pv-101',
+    productName: 'Amul Taaza Toned Fresh Milk',
+    productWeight: '500 ml',
+    currentPrice: 27,
+    originalPrice: 29,
+    discountPercentage: 7,
+    isOutOfStock: false,
+    productUrl: 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101',
+    position: 3,
+};
+
+describe('expandVariants', () => {
+    test('passes products without variants through', () => {
+        assert.deepEqual(expandVariants(CARD), [CARD]);
+        assert.deepEqual(expandVariants({ ...CARD, variants: [] }), [CARD]);
+    });
+
+    test('emits one record per variant with a shared parent and placement', () => {
+        const records = expandVariants({
+            ...CARD,
+            parentProductId: 'p-1',
+            variants: [
+                { productVariantId: 'pv-101', productWeight: '500 ml', currentPrice: 27, originalPrice: 29, isOutOfStock: false },
+                { productVariantId: 'pv-111', productWeight: '1 L', currentPrice: 54, originalPrice: 56, isOutOfStock: false },
+                { productVariantId: 'pv-112', productWeight: '6 x 1 L', currentPrice: 300, originalPrice: null, isOutOfStock: true, productUrl: 'https://www.zepto.com/pn/amul-taaza-6/pvid/pv-112' },
+            ],
+        });
+
+        assert.deepEqual(records.map(r => [r.productId, r.parentProductId, r.productWeight, r.currentPrice, r.originalPrice, r.discountPercentage, r.isOutOfStock, r.isDisplayedVariant, r.position]), [
+            ['pv-101', 'p-1', '500 ml', 27, 29, 7, false, true, 3],
+            ['pv-111', 'p-1', '1 L', 54, 56, 4, false, false, 3],
+            ['pv-112', 'p-1', '6 x 1 L', 300, null, null, true, false, 3],
+        ]);
+        assert.deepEqual(records.map(r => r.productUrl), [
+            'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101',
+            'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-111',
+            'https://www.zepto.com/pn/amul-taaza-6/pvid/pv-112',
+        ]);
+        assert.ok(records.every(r => r.variantCount === 3 && r.productName === CARD.productName && !('variants' in r)));
+    });
+
+    test('keeps the displayed variant when the picker leaves it out', () => {
+        const records = expandVariants({ ...CARD, variants: [{ productVariantId: 'pv-111', productWeight: '1 L', currentPrice: 54 }] });
+
+        assert.deepEqual(records.map(r => [r.productId, r.parentProductId, r.productWeight, r.currentPrice, r.isDisplayedVariant]), [
+            ['pv-101', 'pv-101', '500 ml', 27, true],
+            ['pv-111', 'pv-101', '1 L', 54, false],
+        ]);
+    });
+
+    test('keeps the card promotions on the displayed variant only', () => {
+        const records = expandVariants({
+            ...CARD,
+            offerTexts: ['₹25 with Pass'],
+            membershipPrice: 25,
+            variants: [{ productVariantId: 'pv-111', productWeight: '1 L', currentPrice: 54 }],
+        });
+
+        assert.deepEqual(records.map(r => [r.productId, r.offerTexts, r.membershipPrice]), [
+            ['pv-101', ['₹25 with Pass'], 25],
+            ['pv-111', undefined, undefined],
+        ]);
+    });
+});
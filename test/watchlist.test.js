@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { Configuration, Dataset, KeyValueStore } from 'crawlee';
+import {
+    ALERTS_DATASET_NAME, ALERT_TYPES, SIGNATURE_HEADER, TIMESTAMP_HEADER, WATCHLIST_STATE_STORE_NAME,
+    createWatchlist, evaluateWatchItem, matchesWatchItem, signPayload,
+} from '../src/watchlist.js';
+import { quietLog } from './helpers/browser.js';
+
+const record = (overrides) => ({
+    productId: 'pv-101',
+    productName: 'Amul Taaza Toned Fresh Milk',
+    productUrl: 'https://www.zepto.com/pn/amul-taaza-toned-fresh-milk/pvid/pv-101',
+    platform: 'Zepto',
+    pincode: '411001',
+    currentPrice: 27,
+    isOutOfStock: false,
+    searchQuery: 'milk',
+    ...overrides,
+});
+
+describe('matchesWatchItem', () => {
+    test('matches by product ID, by the ID in a product URL and by pincode', () => {
+        assert.ok(matchesWatchItem({ productId: 'pv-101' }, record()));
+        assert.ok(matchesWatchItem({ productUrl: 'https://www.zepto.com/pn/amul-taaza/pvid/pv-101?ref=x' }, record()));
+        assert.ok(matchesWatchItem({ productId: 'pv-101', pincode: '411001' }, record()));
+        assert.ok(!matchesWatchItem({ productId: 'pv-101', pincode: '560001' }, record()));
+        assert.ok(!matchesWatchItem({ productId: 'pv-102' }, record()));
+    });
+});
+
+describe('evaluateWatchItem', () => {
+    const item = { productId: 'pv-101', targetPrice: 25, alertOnStockChange: true };
+
+    test('alerts when the price reaches the target, once until it rises above again', () => {
+        const first = evaluateWatchItem(item, record({ currentPrice: 24 }), undefined);
+        assert.deepEqual(first.alerts, [ALERT_TYPES.PRICE_TARGET]);
+        assert.deepEqual(evaluateWatchItem(item, record({ currentPrice: 23 }), first.state).alerts, []);
+
+        const above = evaluateWatchItem(item, record({ currentPrice: 27 }), first.state);
+        assert.deepEqual(above.alerts, []);
+        assert.deepEqual(evaluateWatchItem(item, record({ currentPrice: 25 }), above.state).alerts, [ALERT_TYPES.PRICE_TARGET]);
+    });
+
+    test('alerts on stock changes only when asked and once a previous state is known', () => {
+        const outOfStock = evaluateWatchItem(item, record({ isOutOfStock: true }), undefined);
+        assert.deepEqual(outOfStock.alerts, []);
+        assert.deepEqual(evaluateWatchItem(item, record(), outOfStock.state).alerts, [ALERT_TYPES.BACK_IN_STOCK]);
+        assert.deepEqual(evaluateWatchItem(item, record({ isOutOfStock: true }), { ...outOfStock.state, isOutOfStock: false }).alerts, [ALERT_TYPES.WENT_OUT_OF_STOCK]);
+        assert.deepEqual(evaluateWatchItem({ productId: 'pv-101', targetPrice: 20 }, record(), { ...outOfStock.state, isOutOfStock: true }).alerts, []);
+    });
+});
+
+describe('createWatchlist', () => {
+    let server;
+    let webhookUrl;
+    let received;
+    let responses;
+
+    before(async () => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(responses.shift() ?? 200).end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${server.address().port}/alerts`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('posts signed alerts, retries server errors and saves them to the alerts dataset', async () => {
+        received = [];
+        responses = [503, 500];
+        const watchlist = createWatchlist({
+            items: [{ productId: 'pv-101', targetPrice: 30 }, { productId: 'pv-102', targetPrice: 10 }],
+            webhookUrl,
+            secret: 'hush',
+            retryDelayMs: 10,
+            log: quietLog,
+        });
+
+        const alerts = await watchlist.checkListing([record(), record({ productId: 'pv-102', currentPrice: 50 })]);
+        // The same product found by another query in the same run does not alert twice
+        await watchlist.checkListing([record({ searchQuery: 'toned milk' })]);
+        await watchlist.finish();
+
+        assert.deepEqual(alerts.map(a => [a.alertType, a.productId, a.currentPrice, a.targetPrice]), [[ALERT_TYPES.PRICE_TARGET, 'pv-101', 27, 30]]);
+        assert.equal(received.length, 3);
+        const { headers, body } = received.at(-1);
+        assert.equal(headers['content-type'], 'application/json');
+        assert.equal(headers[SIGNATURE_HEADER.toLowerCase()], signPayload('hush', headers[TIMESTAMP_HEADER.toLowerCase()], body));
+        assert.equal(JSON.parse(body).productId, 'pv-101');
+
+        const { items } = await (await Dataset.open(ALERTS_DATASET_NAME)).getData();
+        assert.equal(items.length, 1);
+        assert.deepEqual(items[0].delivery, { delivered: true, attempts: 3, error: null });
+
+        const state = await (await KeyValueStore.open(WATCHLIST_STATE_STORE_NAME)).getValue('STATE');
+        assert.equal(state['pv-101|30|Zepto|411001'].atTarget, true);
+    });
+
+    test('gives up on client errors and keeps the alert as undelivered', async () => {
+        received = [];
+        responses = [400];
+        const watchlist = createWatchlist({ items: [{ productId: 'pv-201', targetPrice: 100 }], webhookUrl, retryDelayMs: 10, log: quietLog });
+
+        await watchlist.checkListing([record({ productId: 'pv-201' })]);
+        await watchlist.finish();
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].headers[SIGNATURE_HEADER.toLowerCase()], undefined);
+        const { items } = await (await Dataset.open(ALERTS_DATASET_NAME)).getData();
+        assert.deepEqual(items.at(-1).delivery, { delivered: false, attempts: 1, error: 'HTTP 400' });
+    });
+});
@@ -0,0 +1,233 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { mapDetailAttributes } from '../src/routes.js';
+import { zeptoAdapter } from '../src/platforms/zepto.js';
+import { assignPlacement } from '../src/placement.js';
+import { SCROLL_STOP_REASONS, autoScroll } from '../src/scroll.js';
+import { launchBrowser, openPage, quietLog, skipWithoutBrowser } from './helpers/browser.js';
+import { startFixtureServer } from './helpers/fixture-server.js';
+import { CDN, SEARCH_FIXTURE_PRODUCTS, withProductUrls, comparable } from './helpers/expected.js';
+
+describe('mapDetailAttributes', () => {
+    test('maps labelled sections onto record fields', () => {
+        assert.deepEqual(mapDetailAttributes({
+            'Key Features': 'Rich in calcium\nPasteurised',
+            'Country Of Origin': 'India',
+            'Marketed By': 'GCMMF Ltd.',
+            'Sold By': 'Geddit',
+            'Storage Tips': 'Keep refrigerated',
+        }), {
+            highlights: ['Rich in calcium', 'Pasteurised'],
+            countryOfOrigin: 'India',
+            marketerDetails: 'GCMMF Ltd.',
+            sellerInfo: 'Geddit',
+        });
+    });
+});
+
+describe('Zepto extraction on saved pages', { skip: skipWithoutBrowser }, () => {
+    let server;
+    let browser;
+    let page;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    async function open(path) {
+        await page?.context().close();
+        page = await openPage(browser);
+        await page.goto(`${server.baseUrl}${path}`);
+        return page;
+    }
+
+    test('autoScroll loads every lazy card and stops at the end-of-results marker', async () => {
+        await open('/search?query=milk');
+        assert.equal(await page.locator(zeptoAdapter.productSelector).count(), 4);
+
+        const result = await autoScroll(page, quietLog, zeptoAdapter.productSelector, 10, { endOfResultsSelector: zeptoAdapter.endOfResultsSelector });
+        assert.equal(await page.locator(zeptoAdapter.productSelector).count(), 8);
+        assert.deepEqual([result.reason, result.scrolls, result.productCount], [SCROLL_STOP_REASONS.END_OF_RESULTS, 2, 8]);
+    });
+
+    test('autoScroll stops once the wanted number of cards is loaded', async () => {
+        await open('/search?query=milk');
+
+        const result = await autoScroll(page, quietLog, zeptoAdapter.productSelector, 10, { targetCount: 5 });
+        assert.deepEqual([result.reason, result.scrolls, result.productCount], [SCROLL_STOP_REASONS.TARGET_REACHED, 1, 6]);
+    });
+
+    test('autoScroll stops when scrolling brings no new cards', async () => {
+        await open('/search?query=milk');
+
+        const result = await autoScroll(page, quietLog, zeptoAdapter.productSelector, 10);
+        assert.deepEqual([result.reason, result.productCount], [SCROLL_STOP_REASONS.NO_NEW_PRODUCTS, 8]);
+        assert.ok(result.durationMs < 5000, `took ${result.durationMs} ms`);
+    });
+
+    test('extracts the exact search listing records', async () => {
+        await open('/search?query=milk');
+        await autoScroll(page, quietLog, zeptoAdapter.productSelector, 10);
+
+        const { products, deliveryTime } = await zeptoAdapter.extractListing(page);
+        assert.equal(deliveryTime, '11 minutes');
+        assert.deepEqual(comparable(products), withProductUrls(SEARCH_FIXTURE_PRODUCTS, server.baseUrl));
+    });
+
+    test('places cards by rank, grid cell and the scroll that loaded them', async () => {
+        await open('/search?query=milk');
+        await autoScroll(page, quietLog, zeptoAdapter.productSelector, 10);
+
+        const { products } = await zeptoAdapter.extractListing(page);
+        const placed = assignPlacement(products);
+        assert.deepEqual(placed.map(p => [p.productId, p.position, p.organicRank, p.sponsoredRank, p.gridRow, p.gridColumn, p.loadedAtScroll]), [
+            ['pv-101', 1, 1, null, 1, 1, 0],
+            ['pv-102', 2, null, 1, 1, 2, 0],
+            ['pv-103', 3, 2, null, 1, 3, 0],
+            ['pv-104', 4, 3, null, 1, 4, 0],
+            ['pv-105', 5, 4, null, 2, 1, 1],
+            ['pv-106', 6, null, 2, 2, 2, 1],
+            ['pv-107', 7, 5, null, 2, 3, 2],
+            ['pv-108', 8, 6, null, 2, 4, 2],
+        ]);
+
+        const depths = placed.map(p => p.scrollDepth);
+        assert.deepEqual(depths.slice(0, 4), [0, 0, 0, 0]);
+        assert.ok(depths[4] > 0 && depths[6] > depths[4], `scroll depths ${depths}`);
+    });
+
+    test('counts which selector of each chain matched', async () => {
+        await open('/search?query=milk');
+        await autoScroll(page, quietLog, zeptoAdapter.productSelector, 10);
+
+        const { selectorHits } = await zeptoAdapter.extractListing(page);
+        assert.deepEqual(selectorHits.productLink, { 'a.B4vNQ': 8 });
+        assert.deepEqual(selectorHits.productCard, { 'div.cavQgJ.cTH4Df': 8 });
+        assert.deepEqual(selectorHits.productImage, { 'img[src*="cdn.zeptonow.com"]': 7, img: 1 });
+        assert.deepEqual(selectorHits.originalPrice, {
+            'span[class*="mrp" i]': 3,
+            'span[class*="strike" i]': 1,
+            'span[class*="original" i]': 1,
+        });
+        assert.deepEqual(selectorHits.packSize, { '[data-slot-id="PackSize"] span': 8 });
+    });
+
+    test('extracts category listing cards and navigation links', async () => {
+        await open('/cn/dairy-bread-eggs/milk/cid/c-dairy/scid/s-milk');
+
+        const { products, deliveryTime } = await zeptoAdapter.extractListing(page);
+        assert.equal(deliveryTime, '9 minutes');
+        assert.deepEqual(comparable(products).map(p => [p.productId, p.currentPrice, p.originalPrice, p.isOutOfStock]), [
+            ['pv-101', 27, 29, false],
+            ['pv-107', 36, null, true],
+        ]);
+
+        const base = 'https://www.zepto.com/cn';
+        assert.deepEqual(await zeptoAdapter.extractCategoryLinks(page), [
+            { categorySlug: 'dairy-bread-eggs', subcategorySlug: 'milk', cid: 'c-dairy', scid: 's-milk', name: 'Dairy, Bread & Eggs', fromImage: true, url: `${base}/dairy-bread-eggs/milk/cid/c-dairy/scid/s-milk` },
+            { categorySlug: 'fruits-vegetables', subcategorySlug: 'fresh-vegetables', cid: 'c-fnv', scid: 's-veg', name: 'Fruits & Vegetables', fromImage: false, url: `${base}/fruits-vegetables/fresh-vegetables/cid/c-fnv/scid/s-veg` },
+            { categorySlug: 'dairy-bread-eggs', subcategorySlug: 'milk', cid: 'c-dairy', scid: 's-milk', name: 'Milk', fromImage: false, url: `${base}/dairy-bread-eggs/milk/cid/c-dairy/scid/s-milk` },
+            { categorySlug: 'dairy-bread-eggs', subcategorySlug: 'bread-pav', cid: 'c-dairy', scid: 's-bread', name: 'Bread & Pav', fromImage: false, url: `${base}/dairy-bread-eggs/bread-pav/cid/c-dairy/scid/s-bread` },
+            { categorySlug: 'dairy-bread-eggs', subcategorySlug: 'eggs', cid: 'c-dairy', scid: 's-eggs', name: 'Eggs', fromImage: false, url: `${base}/dairy-bread-eggs/eggs/cid/c-dairy/scid/s-eggs` },
+        ]);
+    });
+
+    test('extracts the product detail page', async () => {
+        await open('/pn/amul-taaza-toned-fresh-milk/pvid/pv-101');
+
+        const detail = await zeptoAdapter.extractProductDetail(page);
+        assert.equal(detail.productName, 'Amul Taaza Toned Fresh Milk');
+        assert.equal(detail.brand, 'Amul');
+        assert.equal(detail.description, 'Pasteurised toned milk with 3% fat.');
+        assert.equal(detail.currentPrice, 27);
+        assert.equal(detail.availability, 'InStock');
+        assert.deepEqual(detail.images, [`${CDN}/amul-taaza-1.jpg`, `${CDN}/amul-taaza-2.jpg`, `${CDN}/amul-taaza-3.jpg`, `${CDN}/amul-taaza-4.jpg`]);
+        assert.deepEqual(detail.nutritionTable, { Energy: '58 kcal', Protein: '3.1 g' });
+
+        const { nutrition, ...fields } = mapDetailAttributes(detail.attributes);
+        assert.ok(nutrition.includes('58 kcal'));
+        assert.deepEqual(fields, {
+            highlights: ['Rich in calcium', 'Pasteurised'],
+            ingredients: 'Toned milk',
+            shelfLife: '2 days',
+            countryOfOrigin: 'India',
+            manufacturerDetails: 'Gujarat Co-operative Milk Marketing Federation Ltd., Anand',
+            marketerDetails: 'GCMMF Ltd.',
+            sellerInfo: 'Geddit Convenience Pvt. Ltd.',
+        });
+    });
+
+    test('lists the pack-size picker options of cards and product pages', async () => {
+        await open('/search-variants');
+        const { products } = await zeptoAdapter.extractListing(page);
+
+        assert.deepEqual(products.map(p => [p.productId, p.productWeight, p.currentPrice, p.originalPrice]), [
+            ['pv-101', '500 ml', 27, 29],
+            ['pv-103', '1 L', 70, null],
+        ]);
+        assert.deepEqual(products[0].variants.map(v => [v.productVariantId, v.productWeight, v.currentPrice, v.originalPrice, v.isOutOfStock]), [
+            ['pv-101', '500 ml', 27, 29, false],
+            ['pv-111', '1 L', 54, 56, false],
+            ['pv-112', '6 x 1 L', 300, null, true],
+        ]);
+        assert.equal(products[1].variants, undefined);
+
+        await open('/pn/amul-taaza-toned-fresh-milk/pvid/pv-101');
+        const detail = await zeptoAdapter.extractProductDetail(page);
+        assert.deepEqual(detail.variants.map(v => [v.productVariantId, v.productWeight, v.currentPrice, v.originalPrice, v.isOutOfStock]), [
+            ['pv-101', '500 ml', 27, 29, false],
+            ['pv-111', '1 L', 54, 56, false],
+            ['pv-112', '6 x 1 L', 300, null, true],
+        ]);
+    });
+
+    test('reads the price, MRP, stock and delivery time of a product page', async () => {
+        await open('/pn/amul-taaza-toned-fresh-milk/pvid/pv-101');
+
+        assert.deepEqual(await zeptoAdapter.extractProductOffer(page), {
+            productName: 'Amul Taaza Toned Fresh Milk',
+            currentPrice: 27,
+            originalPrice: 29,
+            isOutOfStock: false,
+            deliveryTime: '11 minutes',
+            offerTexts: ['10% off with HDFC Bank Credit Cards', 'Max 4 per order'],
+        });
+    });
+
+    test('collects the offer badges of cards outside their pack-size picker', async () => {
+        await open('/search-variants');
+        const { products, selectorHits } = await zeptoAdapter.extractListing(page);
+
+        assert.deepEqual(products.map(p => p.offerTexts), [['₹25 with Pass', 'Max 2 per order'], ['Extra 5% off']]);
+        assert.deepEqual(selectorHits.offerBadge, { '[data-slot-id="OfferTag"]': 1, '[data-slot-id="PassPrice"]': 1, '[data-testid*="offer" i]': 1 });
+
+        await open('/pn/amul-taaza-toned-fresh-milk/pvid/pv-101');
+        const detail = await zeptoAdapter.extractProductDetail(page);
+        assert.deepEqual(detail.offerTexts, ['10% off with HDFC Bank Credit Cards', 'Max 4 per order']);
+    });
+
+    test('reads the ETA, store status and fee banners of the home page', async () => {
+        await open('/');
+
+        assert.deepEqual(await zeptoAdapter.extractServiceability(page), {
+            etaText: 'Delivery in 12 mins',
+            unserviceableText: null,
+            storeStatusText: 'Store closed for now. Opens at 6:30 AM',
+            feeTexts: ['₹15 small cart fee on orders below ₹99', 'Surge fee ₹20 applies due to high demand'],
+        });
+    });
+
+    test('finds location banners by their wording when no selector matches', async () => {
+        await page.setContent('<main><p>Sorry, we are not serviceable at this location yet</p><p>Late night fee ₹25</p></main>');
+
+        const state = await zeptoAdapter.extractServiceability(page);
+        assert.equal(state.unserviceableText, 'Sorry, we are not serviceable at this location yet');
+        assert.deepEqual(state.feeTexts, ['Late night fee ₹25']);
+    });
+});